@@ -83,14 +83,117 @@ import './bp-listings.scss';
     return node;
   }
 
-  function formatPrice(amount, currency) {
-    if (typeof amount === "string") return currency + amount;
-    return (
-      currency + amount.toLocaleString("en-US", { maximumFractionDigits: 0 })
-    );
+  var HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+  function escapeHtml(value) {
+    if (value === null || value === undefined) return "";
+    return String(value).replace(/[&<>"']/g, function (ch) {
+      return HTML_ESCAPES[ch];
+    });
+  }
+
+  // `policy` comes from resolveHtmlPolicy; without one every field is escaped.
+  function resolveHtmlPolicy(allowHtmlFields, sanitizeHtml) {
+    var allow = {};
+    toArray(allowHtmlFields).forEach(function (field) {
+      allow[field] = true;
+    });
+    return { allow: allow, sanitize: typeof sanitizeHtml === "function" ? sanitizeHtml : null };
+  }
+
+  /**
+   * Listing text is escaped unless the policy allows HTML for `field`; allowed
+   * values go through `sanitize(html, field, listing)` when one is configured.
+   */
+  function fieldHtml(listing, field, value, policy) {
+    if (value === null || value === undefined) return "";
+    if (policy && policy.allow[field]) {
+      return policy.sanitize ? String(policy.sanitize(String(value), field, listing)) : String(value);
+    }
+    return escapeHtml(value);
+  }
+
+  function createFieldElement(className, listing, field, policy) {
+    var value = listing[field] === undefined || listing[field] === null ? "" : listing[field];
+    if (policy && policy.allow[field]) {
+      return el("div", className, { html: fieldHtml(listing, field, value, policy) });
+    }
+    return el("div", className, { text: value });
+  }
+
+  var numberFormats = {};
+
+  function getNumberFormat(locale, currencyCode, compact) {
+    var key = [locale || "en-US", currencyCode || "", compact ? "compact" : ""].join("|");
+    var options = compact
+      ? { notation: "compact", minimumFractionDigits: 0, maximumFractionDigits: 1 }
+      : { minimumFractionDigits: 0, maximumFractionDigits: 0 };
+
+    if (!numberFormats[key]) {
+      if (currencyCode) {
+        options.style = "currency";
+        options.currency = currencyCode;
+      }
+      numberFormats[key] = new Intl.NumberFormat(locale || "en-US", options);
+    }
+    return numberFormats[key];
+  }
+
+  function isSupportedCurrency(code) {
+    try {
+      getNumberFormat(null, code, false);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function getListingCurrency(listing, baseCurrency) {
+    return listing && listing.currencyCode && isSupportedCurrency(listing.currencyCode)
+      ? listing.currencyCode
+      : baseCurrency || null;
+  }
+
+  /**
+   * Units of `to` per unit of `from` from `rates`; 1 without a target or when
+   * the codes match, null when `from` is unknown or a rate is missing.
+   */
+  function getConversionRate(rates, from, to) {
+    var fromRate;
+    var toRate;
+
+    if (!to || from === to) return 1;
+    if (!from) return null;
+    fromRate = toFiniteNumber((rates || {})[from]);
+    toRate = toFiniteNumber((rates || {})[to]);
+    if (!fromRate || !toRate || fromRate < 0 || toRate < 0) return null;
+    return toRate / fromRate;
+  }
+
+  /**
+   * `format` is `{ locale, currencyCode, compact }`. With a `currencyCode`,
+   * Intl places the symbol for the locale, for numeric strings like "1,250"
+   * too; otherwise `currency` is prefixed to the locale-grouped number.
+   * `compact` gives short labels like "₱13.7K".
+   */
+  function formatPrice(amount, currency, format) {
+    var settings = format || {};
+    var parsed;
+    if (amount === undefined || amount === null) return "";
+    if (typeof amount === "string") {
+      // Preformatted strings such as "₱13,689" already carry their symbol.
+      if (!/^\s*[\d.]/.test(amount)) return amount;
+      if (!settings.currencyCode) return currency + amount;
+      parsed = parsePriceString(amount);
+      return parsed === null ? amount : formatPrice(parsed, currency, settings);
+    }
+    if (settings.currencyCode) {
+      return getNumberFormat(settings.locale, settings.currencyCode, settings.compact).format(amount);
+    }
+    return currency + getNumberFormat(settings.locale, null, settings.compact).format(amount);
   }
 
-  function createBadgeElement(badgeValue, extraClassName) {
+  function createBadgeElement(badgeValue, extraClassName, policy, listing) {
     if (!badgeValue) {
       return null;
     }
@@ -113,15 +216,13 @@ import './bp-listings.scss';
       badgeClass += extraClassName;
     }
 
-    var badgeContent = "";
+    var badgeContent = fieldHtml(listing || {}, "badge", badgeText, policy);
     if (badgeText === "Guest favorite") {
       badgeContent =
         '<span class="lm-badge-icon">' +
         ICONS.trophy +
         "</span> " +
-        badgeText;
-    } else {
-      badgeContent = badgeText;
+        badgeContent;
     }
 
     return el("div", badgeClass, { html: badgeContent });
@@ -136,75 +237,102 @@ import './bp-listings.scss';
     rating.innerHTML =
       ICONS.star +
       " " +
-      listing.rating +
+      escapeHtml(listing.rating) +
       (listing.reviewCount
         ? ' <span class="lm-card-rating-count">(' +
-          listing.reviewCount +
+          escapeHtml(listing.reviewCount) +
           ")</span>"
         : "");
     return rating;
   }
 
-  function createPriceElement(listing, currency) {
-    if (listing.price === undefined) {
+  function formatStayNights(nights) {
+    return "for " + nights + (nights === 1 ? " night" : " nights");
+  }
+
+  /**
+   * With a `stayPrice` quote the card shows the stay total and the per-night
+   * average instead of the static `price` / `pricePeriod`. `amount` replaces
+   * the displayed `price`, e.g. after currency conversion.
+   */
+  function createPriceElement(listing, currency, stayPrice, format, amount, policy) {
+    if (amount === undefined) {
+      amount = listing.price !== undefined ? listing.price : listing.priceValue;
+    }
+    if (amount === undefined && !stayPrice) {
       return null;
     }
 
     var priceContainer = el("div", "lm-card-price");
-    var priceValue = formatPrice(listing.price, currency || "");
+    var priceValue = formatPrice(stayPrice ? stayPrice.total : amount, currency || "", format);
+    var pricePeriod = stayPrice ? formatStayNights(stayPrice.nights) : listing.pricePeriod;
     priceContainer.innerHTML =
       '<span class="lm-card-price-value">' +
-      priceValue +
+      escapeHtml(priceValue) +
       "</span>" +
-      (listing.pricePeriod
+      (pricePeriod
         ? ' <span class="lm-card-price-period">' +
-          listing.pricePeriod +
+          fieldHtml(listing, "pricePeriod", pricePeriod, policy) +
           "</span>"
+        : "") +
+      (stayPrice
+        ? ' <span class="lm-card-price-average">' +
+          escapeHtml(formatPrice(stayPrice.nightlyAverage, currency || "", format)) +
+          " avg / night</span>"
         : "");
     return priceContainer;
   }
 
-  function createMapPopupHtml(listing, priceLabel) {
+  function formatDistance(distanceKm) {
+    if (distanceKm < 1) return Math.round(distanceKm * 1000) + " m away";
+    if (distanceKm < 10) return distanceKm.toFixed(1) + " km away";
+    return Math.round(distanceKm) + " km away";
+  }
+
+  function createMapPopupHtml(listing, priceLabel, pricePeriod, policy) {
+    var field = function (name) {
+      return fieldHtml(listing, name, listing[name], policy);
+    };
     return (
       '<div class="lm-map-popup">' +
       (listing.images && listing.images[0]
         ? '<img class="lm-popup-img" src="' +
-          listing.images[0] +
+          escapeHtml(listing.images[0]) +
           '" alt="' +
-          (listing.title || "") +
+          escapeHtml(listing.title || "") +
           '">'
         : "") +
       '<div class="lm-popup-body">' +
       '<div class="lm-popup-header">' +
       '<div class="lm-popup-title">' +
-      (listing.title || "") +
+      field("title") +
       "</div>" +
       (listing.rating
         ? '<div class="lm-popup-rating">' +
           ICONS.star +
           " " +
-          listing.rating +
+          escapeHtml(listing.rating) +
           (listing.reviewCount
             ? ' <span class="lm-popup-rating-count">(' +
-              listing.reviewCount +
+              escapeHtml(listing.reviewCount) +
               ")</span>"
             : "") +
           "</div>"
         : "") +
       "</div>" +
       (listing.subtitle
-        ? '<div class="lm-popup-subtitle">' + listing.subtitle + "</div>"
+        ? '<div class="lm-popup-subtitle">' + field("subtitle") + "</div>"
         : "") +
       (listing.details
-        ? '<div class="lm-popup-details">' + listing.details + "</div>"
+        ? '<div class="lm-popup-details">' + field("details") + "</div>"
         : "") +
       (listing.dates
-        ? '<div class="lm-popup-dates">' + listing.dates + "</div>"
+        ? '<div class="lm-popup-dates">' + field("dates") + "</div>"
         : "") +
       '<div class="lm-popup-price"><strong>' +
-      priceLabel +
+      escapeHtml(priceLabel) +
       "</strong>" +
-      (listing.pricePeriod ? " " + listing.pricePeriod : "") +
+      (pricePeriod ? " " + fieldHtml(listing, "pricePeriod", pricePeriod, policy) : "") +
       "</div>" +
       "</div></div>"
     );
@@ -227,34 +355,107 @@ import './bp-listings.scss';
     }).filter(Boolean);
   }
 
-  function matchesSubstring(sourceValue, queryValue) {
+  /**
+   * Matching primitives take a prepared source value: the raw value plus its
+   * normalized strings, with the exact-value set and numbers built on demand.
+   * Search indexes keep these around so repeated queries skip normalization.
+   */
+  function prepareSourceValue(value) {
+    return { raw: value, strings: normalizeStringArray(value), set: null, numbers: null };
+  }
+
+  function getSourceSet(source) {
+    if (!source.set) source.set = new Set(source.strings);
+    return source.set;
+  }
+
+  function getSourceNumbers(source) {
+    if (!source.numbers) {
+      source.numbers = toArray(source.raw).map(toFiniteNumber).filter(function (number) {
+        return number !== null;
+      });
+    }
+    return source.numbers;
+  }
+
+  function matchesSubstring(source, queryValue) {
     var query = normalizeString(queryValue);
     if (!query) return true;
-    return normalizeStringArray(sourceValue).some(function (entry) {
+    return source.strings.some(function (entry) {
       return entry.indexOf(query) !== -1;
     });
   }
 
-  function matchesExact(sourceValue, queryValue) {
+  /**
+   * Rate how well a text query hits: 1 for an exact entry, 0.75 when an entry
+   * word starts with the query, 0.5 for any other substring, 0 for none.
+   */
+  function getSubstringQuality(source, queryValue) {
     var query = normalizeString(queryValue);
-    if (!query) return true;
-    return normalizeStringArray(sourceValue).some(function (entry) {
-      return entry === query;
+    var best = 0;
+
+    if (!query) return 0;
+    source.strings.forEach(function (entry) {
+      var position = entry.indexOf(query);
+      if (entry === query) {
+        best = 1;
+      } else if (position === 0 || (position > 0 && /\s/.test(entry.charAt(position - 1)))) {
+        best = Math.max(best, 0.75);
+      } else if (position !== -1) {
+        best = Math.max(best, 0.5);
+      }
     });
+    return best;
   }
 
-  function matchesAllChoices(sourceValue, queryValue) {
-    var requested = normalizeStringArray(queryValue);
+  function matchesExact(source, queryValue) {
+    var query = normalizeString(queryValue);
+    if (!query) return true;
+    return getSourceSet(source).has(query);
+  }
+
+  /**
+   * Checkbox matching. `mode` decides how the requested values combine:
+   * "all" (default) requires every value, "any" at least one, "none" excludes
+   * them all. Values prefixed with "!" are always excluded, whatever the mode.
+   */
+  function matchesChoices(source, queryValue, mode) {
+    var requested = [];
+    var excluded = [];
     var available;
 
+    normalizeStringArray(queryValue).forEach(function (entry) {
+      if (entry.charAt(0) !== "!") {
+        requested.push(entry);
+      } else if (entry.length > 1) {
+        excluded.push(entry.slice(1).trim());
+      }
+    });
+
+    if (requested.length === 0 && excluded.length === 0) return true;
+    available = getSourceSet(source);
+
+    if (excluded.some(function (entry) { return available.has(entry); })) {
+      return false;
+    }
     if (requested.length === 0) return true;
-    available = new Set(normalizeStringArray(sourceValue));
+
+    if (mode === "any") {
+      return requested.some(function (entry) {
+        return available.has(entry);
+      });
+    }
+    if (mode === "none") {
+      return !requested.some(function (entry) {
+        return available.has(entry);
+      });
+    }
     return requested.every(function (entry) {
       return available.has(entry);
     });
   }
 
-  function matchesCounter(sourceValue, queryValue) {
+  function matchesCounter(source, queryValue) {
     var requested;
     var available;
 
@@ -263,199 +464,1540 @@ import './bp-listings.scss';
     }
 
     requested = Number(queryValue);
-    available = Number(sourceValue);
+    available = Number(source.raw);
 
     if (!Number.isFinite(requested)) return true;
     if (!Number.isFinite(available)) return false;
     return available >= requested;
   }
 
-  function isValidDateString(value) {
-    return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
-  }
+  function toFiniteNumber(value) {
+    var number;
 
-  function matchesAvailability(availability, checkIn, checkOut) {
-    if (!checkIn && !checkOut) return true;
+    if (value === null || value === undefined || value === "") return null;
+    number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
 
-    if (
-      !Array.isArray(availability) ||
-      !isValidDateString(checkIn) ||
-      !isValidDateString(checkOut)
-    ) {
-      return false;
-    }
+  function isWithinBound(value, bound, exclusive, isMin) {
+    if (bound === null) return true;
+    if (isMin) return exclusive ? value > bound : value >= bound;
+    return exclusive ? value < bound : value <= bound;
+  }
 
-    return availability.some(function (range) {
+  function matchesRange(source, queryValue, descriptor) {
+    var options = descriptor || {};
+    var query = queryValue && typeof queryValue === "object" ? queryValue : {};
+    var min = toFiniteNumber(query.min);
+    var max = toFiniteNumber(query.max);
+    var minExclusive = query.minExclusive !== undefined
+      ? Boolean(query.minExclusive)
+      : Boolean(options.minExclusive);
+    var maxExclusive = query.maxExclusive !== undefined
+      ? Boolean(query.maxExclusive)
+      : Boolean(options.maxExclusive);
+
+    if (min === null && max === null) return true;
+
+    return getSourceNumbers(source).some(function (value) {
       return (
-        range &&
-        isValidDateString(range.start) &&
-        isValidDateString(range.end) &&
-        range.start <= checkIn &&
-        range.end >= checkOut
+        isWithinBound(value, min, minExclusive, true) &&
+        isWithinBound(value, max, maxExclusive, false)
       );
     });
   }
 
-  function buildFieldTypeMap(config) {
-    var map = {};
-    var fieldDescriptors = Array.isArray(config && config.fields) ? config.fields : [];
-    var filterDescriptors = Array.isArray(config && config.filters) ? config.filters : [];
+  function isValidDateString(value) {
+    return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  }
 
-    fieldDescriptors.concat(filterDescriptors).forEach(function (descriptor) {
-      if (descriptor && descriptor.key && descriptor.type) {
-        map[descriptor.key] = descriptor.type;
+  var DAY_MS = 24 * 60 * 60 * 1000;
+
+  function dateStringToDayNumber(value) {
+    return Math.round(Date.parse(value + "T00:00:00Z") / DAY_MS);
+  }
+
+  function dayNumberToDateString(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  function isValidRange(range) {
+    return (
+      range &&
+      isValidDateString(range.start) &&
+      isValidDateString(range.end) &&
+      range.start <= range.end
+    );
+  }
+
+  /**
+   * Accepts either the legacy `[{ start, end }]` array or the rules object
+   * `{ ranges, minNights, maxNights, checkInDays, checkOutDays, blocked }`
+   * and returns ranges sorted by start with rules resolved per range.
+   */
+  function normalizeAvailability(availability) {
+    var rules = Array.isArray(availability) ? {} : availability || {};
+    var ranges = Array.isArray(availability) ? availability : toArray(rules.ranges);
+    var blockedNights = {};
+
+    toArray(rules.blocked).forEach(function (entry) {
+      var day;
+      var last;
+
+      if (isValidDateString(entry)) {
+        blockedNights[dateStringToDayNumber(entry)] = true;
+        return;
+      }
+      if (!isValidRange(entry)) return;
+      // Blocked ranges behave like bookings: the checkout day stays free.
+      last = dateStringToDayNumber(entry.end);
+      for (day = dateStringToDayNumber(entry.start); day < last; day++) {
+        blockedNights[day] = true;
       }
     });
 
-    return map;
+    return {
+      blockedNights: blockedNights,
+      ranges: ranges.filter(isValidRange).map(function (range) {
+        return {
+          start: dateStringToDayNumber(range.start),
+          end: dateStringToDayNumber(range.end),
+          minNights: range.minNights !== undefined ? range.minNights : rules.minNights,
+          maxNights: range.maxNights !== undefined ? range.maxNights : rules.maxNights,
+          checkInDays: range.checkInDays !== undefined ? range.checkInDays : rules.checkInDays,
+          checkOutDays: range.checkOutDays !== undefined ? range.checkOutDays : rules.checkOutDays,
+        };
+      }).sort(function (a, b) {
+        return a.start - b.start;
+      }),
+    };
   }
 
-  function matchSearchValue(type, listingValue, submittedValue) {
-    if (type === "checkbox") return matchesAllChoices(listingValue, submittedValue);
-    if (type === "select" || type === "radio") return matchesExact(listingValue, submittedValue);
-    if (type === "counter") return matchesCounter(listingValue, submittedValue);
-    return matchesSubstring(listingValue, submittedValue);
+  function isAllowedWeekday(allowedDays, dayNumber) {
+    var allowed = toArray(allowedDays).map(Number);
+    if (allowed.length === 0) return true;
+    // Day 0 (1970-01-01) was a Thursday; shift so Sunday === 0 like Date#getDay.
+    return allowed.indexOf((dayNumber + 4) % 7) !== -1;
   }
 
-  function createSearchDataMatcher(config) {
-    var fieldTypeMap = buildFieldTypeMap(config);
+  function matchesStayRules(normalized, checkInDay, checkOutDay) {
+    var nights = checkOutDay - checkInDay;
+    var day;
 
-    return function matchListingToSearchPayload(listing, payload) {
-      var searchData = (listing && listing.searchData) || {};
-      var fieldValues = searchData.fields || {};
-      var filterValues = searchData.filters || {};
-      var customFields = (payload && payload.customFields) || {};
-      var filters = (payload && payload.filters) || {};
-      var key;
+    if (nights < 0) return false;
 
-      if (!matchesSubstring(searchData.location, payload && payload.location)) {
-        return false;
-      }
+    for (day = checkInDay; day < checkOutDay; day++) {
+      if (normalized.blockedNights[day]) return false;
+    }
 
-      if (!matchesAvailability(searchData.availability, payload && payload.checkIn, payload && payload.checkOut)) {
-        return false;
+    // Back-to-back ranges are chained, but the range containing the check-in
+    // day decides the stay rules.
+    return normalized.ranges.some(function (range, index) {
+      var coveredUntil = range.end;
+      var minNights = toFiniteNumber(range.minNights);
+      var maxNights = toFiniteNumber(range.maxNights);
+      var next;
+
+      if (range.start > checkInDay || range.end < checkInDay) return false;
+      if (minNights !== null && nights < minNights) return false;
+      if (maxNights !== null && nights > maxNights) return false;
+      if (!isAllowedWeekday(range.checkInDays, checkInDay)) return false;
+      if (!isAllowedWeekday(range.checkOutDays, checkOutDay)) return false;
+
+      for (next = index + 1; next < normalized.ranges.length; next++) {
+        if (coveredUntil >= checkOutDay) break;
+        if (normalized.ranges[next].start > coveredUntil) break;
+        coveredUntil = Math.max(coveredUntil, normalized.ranges[next].end);
       }
 
-      for (key in customFields) {
-        if (Object.prototype.hasOwnProperty.call(customFields, key)) {
-          if (!matchSearchValue(fieldTypeMap[key], fieldValues[key], customFields[key])) {
-            return false;
-          }
-        }
-      }
+      return coveredUntil >= checkOutDay;
+    });
+  }
 
-      for (key in filters) {
-        if (Object.prototype.hasOwnProperty.call(filters, key)) {
-          if (!matchSearchValue(fieldTypeMap[key], filterValues[key], filters[key])) {
-            return false;
-          }
-        }
+  function prepareAvailability(availability) {
+    if (!Array.isArray(availability) && !(availability && typeof availability === "object")) {
+      return null;
+    }
+    return normalizeAvailability(availability);
+  }
+
+  function findWindowInAvailability(normalized, query) {
+    var checkIn = query && query.checkIn;
+    var checkOut = query && query.checkOut;
+    var flexibleDays = Math.max(0, Math.floor(toFiniteNumber(query && query.flexibleDays) || 0));
+    var checkInDay;
+    var checkOutDay;
+    var offsets = [0];
+    var i;
+
+    if (!isValidDateString(checkIn) || !isValidDateString(checkOut) || !normalized) {
+      return null;
+    }
+
+    checkInDay = dateStringToDayNumber(checkIn);
+    checkOutDay = dateStringToDayNumber(checkOut);
+
+    for (i = 1; i <= flexibleDays; i++) {
+      offsets.push(-i, i);
+    }
+
+    for (i = 0; i < offsets.length; i++) {
+      if (matchesStayRules(normalized, checkInDay + offsets[i], checkOutDay + offsets[i])) {
+        return {
+          checkIn: dayNumberToDateString(checkInDay + offsets[i]),
+          checkOut: dayNumberToDateString(checkOutDay + offsets[i]),
+          nights: checkOutDay - checkInDay,
+          offset: offsets[i],
+        };
       }
+    }
 
-      return true;
-    };
+    return null;
   }
 
-  function filterListingsBySearchData(listings, payload, config) {
-    var matcher = createSearchDataMatcher(config);
-    return toArray(listings).filter(function (listing) {
-      return matcher(listing, payload || {});
+  /**
+   * Find the concrete stay window that satisfies a search. With
+   * `flexibleDays: N` the requested dates may shift up to N days either way,
+   * trying the closest shift first. Returns `null` when nothing fits.
+   */
+  function findAvailabilityWindow(availability, query) {
+    return findWindowInAvailability(prepareAvailability(availability), query);
+  }
+
+  var DEFAULT_WEEKEND_DAYS = [5, 6];
+
+  function getNightlyRate(pricing, seasons, weekendDays, day) {
+    var isWeekend = weekendDays.indexOf((day + 4) % 7) !== -1;
+    var rate = null;
+
+    // Later seasons win, so a holiday entry can sit on top of a longer season.
+    seasons.forEach(function (season) {
+      if (day < season.start || day > season.end) return;
+      rate = toFiniteNumber(season.nightly);
+      if (isWeekend && toFiniteNumber(season.weekend) !== null) rate = toFiniteNumber(season.weekend);
     });
+    if (rate !== null) return rate;
+
+    if (isWeekend && toFiniteNumber(pricing.weekend) !== null) return toFiniteNumber(pricing.weekend);
+    return toFiniteNumber(pricing.nightly);
   }
 
-  function loadLeaflet(callback) {
-    if (window.L) {
-      callback();
-      return;
+  /**
+   * Price a stay from a `searchData.pricing` table:
+   * `{ nightly, weekend, weekendDays, seasons, cleaningFee, discounts }`.
+   * Season `start`/`end` are the first and last night they cover. The best
+   * `{ minNights, percent }` discount applies to the nightly subtotal, then
+   * the cleaning fee is added. Returns `null` when any night has no rate.
+   */
+  function calculateStayPrice(pricing, checkIn, checkOut) {
+    var checkInDay;
+    var checkOutDay;
+    var nights;
+    var weekendDays;
+    var seasons;
+    var subtotal = 0;
+    var percent = 0;
+    var discount;
+    var cleaningFee;
+    var total;
+    var rate;
+    var day;
+
+    if (!isPlainObject(pricing) || !isValidDateString(checkIn) || !isValidDateString(checkOut)) {
+      return null;
     }
-    // Load CSS
-    var link = document.createElement("link");
-    link.rel = "stylesheet";
-    link.href = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css";
-    document.head.appendChild(link);
-    // Load JS
-    var script = document.createElement("script");
-    script.src = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js";
-    script.onload = callback;
-    document.head.appendChild(script);
-  }
 
-  // ==========================================
-  // Carousel Component
-  // ==========================================
-  function Carousel(images) {
-    var self = this;
-    self.index = 0;
-    self.images = images || [];
+    checkInDay = dateStringToDayNumber(checkIn);
+    checkOutDay = dateStringToDayNumber(checkOut);
+    nights = checkOutDay - checkInDay;
+    if (nights <= 0) return null;
+
+    weekendDays = toArray(pricing.weekendDays !== undefined ? pricing.weekendDays : DEFAULT_WEEKEND_DAYS).map(Number);
+    seasons = toArray(pricing.seasons).filter(isValidRange).map(function (season) {
+      return {
+        start: dateStringToDayNumber(season.start),
+        end: dateStringToDayNumber(season.end),
+        nightly: season.nightly,
+        weekend: season.weekend,
+      };
+    });
 
-    self.el = el("div", "lm-carousel");
-    self.track = el("div", "lm-carousel-track");
+    for (day = checkInDay; day < checkOutDay; day++) {
+      rate = getNightlyRate(pricing, seasons, weekendDays, day);
+      if (rate === null) return null;
+      subtotal += rate;
+    }
 
-    self.images.forEach(function (src) {
-      var slide = el("div", "lm-carousel-slide");
-      var img = el("img", null, { src: src, alt: "Property photo", loading: "lazy" });
-      slide.appendChild(img);
-      self.track.appendChild(slide);
+    toArray(pricing.discounts).forEach(function (entry) {
+      var minNights = toFiniteNumber(entry && entry.minNights);
+      var entryPercent = toFiniteNumber(entry && entry.percent);
+      if (minNights !== null && entryPercent !== null && nights >= minNights) {
+        percent = Math.max(percent, entryPercent);
+      }
     });
 
-    self.el.appendChild(self.track);
+    discount = subtotal * percent / 100;
+    cleaningFee = toFiniteNumber(pricing.cleaningFee) || 0;
+    total = subtotal - discount + cleaningFee;
+
+    return {
+      checkIn: checkIn,
+      checkOut: checkOut,
+      nights: nights,
+      subtotal: subtotal,
+      discount: discount,
+      cleaningFee: cleaningFee,
+      total: total,
+      nightlyAverage: total / nights,
+    };
+  }
 
-    // Prev / Next buttons
-    if (self.images.length > 1) {
-      self.btnPrev = el("button", "lm-carousel-btn lm-carousel-btn-prev", {
-        html: ICONS.chevronLeft,
-        "aria-label": "Previous image",
-      });
-      self.btnNext = el("button", "lm-carousel-btn lm-carousel-btn-next", {
-        html: ICONS.chevronRight,
-        "aria-label": "Next image",
-      });
+  function normalizeStayDates(dates) {
+    if (!dates || !isValidDateString(dates.checkIn) || !isValidDateString(dates.checkOut)) {
+      return null;
+    }
+    return { checkIn: dates.checkIn, checkOut: dates.checkOut };
+  }
 
-      self.btnPrev.addEventListener("click", function (e) {
-        e.stopPropagation();
-        self.go(self.index - 1);
-      });
-      self.btnNext.addEventListener("click", function (e) {
-        e.stopPropagation();
-        self.go(self.index + 1);
-      });
+  function getListingStayPrice(listing, checkIn, checkOut) {
+    var searchData = (listing && listing.searchData) || {};
+    return calculateStayPrice(searchData.pricing, checkIn, checkOut);
+  }
 
-      self.el.appendChild(self.btnPrev);
-      self.el.appendChild(self.btnNext);
+  var EARTH_RADIUS_KM = 6371;
 
-      // Dots
-      self.dotsContainer = el("div", "lm-carousel-dots");
-      self.dots = [];
-      self.images.forEach(function (_, i) {
-        var dot = el("button", "lm-carousel-dot" + (i === 0 ? " lm-carousel-dot-active" : ""), {
-          "aria-label": "Go to image " + (i + 1),
-        });
-        dot.addEventListener("click", function (e) {
-          e.stopPropagation();
-          self.go(i);
-        });
-        self.dots.push(dot);
-        self.dotsContainer.appendChild(dot);
-      });
-      self.el.appendChild(self.dotsContainer);
+  function hasCoordinates(listing) {
+    return Boolean(
+      listing &&
+      typeof listing.lat === "number" &&
+      typeof listing.lng === "number" &&
+      !Number.isNaN(listing.lat) &&
+      !Number.isNaN(listing.lng)
+    );
+  }
+
+  function toLatLngPair(point) {
+    if (Array.isArray(point) && point.length >= 2) {
+      return [Number(point[0]), Number(point[1])];
     }
+    if (point && typeof point === "object") {
+      return [Number(point.lat), Number(point.lng)];
+    }
+    return null;
+  }
 
-    self.update();
+  function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
   }
 
-  Carousel.prototype.go = function (i) {
-    if (i < 0 || i >= this.images.length) return;
-    this.index = i;
-    this.update();
-  };
+  /**
+   * Great-circle (haversine) distance in kilometers between two points given
+   * as `[lat, lng]` or `{ lat, lng }`.
+   */
+  function getDistanceKm(from, to) {
+    var a = toLatLngPair(from);
+    var b = toLatLngPair(to);
+    var dLat;
+    var dLng;
+    var h;
+
+    if (!a || !b || !a.concat(b).every(Number.isFinite)) return NaN;
+
+    dLat = toRadians(b[0] - a[0]);
+    dLng = toRadians(b[1] - a[1]);
+    h =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(toRadians(a[0])) * Math.cos(toRadians(b[0])) *
+      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
 
-  Carousel.prototype.update = function () {
-    this.track.style.transform = "translateX(-" + this.index * 100 + "%)";
-    if (this.btnPrev) {
-      this.btnPrev.disabled = this.index === 0;
+  function isWithinBounds(lat, lng, bounds) {
+    var north = toFiniteNumber(bounds.north);
+    var south = toFiniteNumber(bounds.south);
+    var east = toFiniteNumber(bounds.east);
+    var west = toFiniteNumber(bounds.west);
+
+    if (north === null || south === null || east === null || west === null) return true;
+    if (lat > north || lat < south) return false;
+    // A viewport crossing the antimeridian has west > east.
+    return west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+  }
+
+  function isWithinPolygon(lat, lng, polygon) {
+    var points = toArray(polygon).map(toLatLngPair).filter(function (point) {
+      return point && Number.isFinite(point[0]) && Number.isFinite(point[1]);
+    });
+    var inside = false;
+    var i;
+    var j;
+
+    if (points.length < 3) return true;
+
+    // Ray casting, treating lng as x and lat as y.
+    for (i = 0, j = points.length - 1; i < points.length; j = i++) {
+      if (
+        points[i][0] > lat !== points[j][0] > lat &&
+        lng <
+          ((points[j][1] - points[i][1]) * (lat - points[i][0])) /
+            (points[j][0] - points[i][0]) +
+            points[i][1]
+      ) {
+        inside = !inside;
+      }
     }
-    if (this.btnNext) {
-      this.btnNext.disabled = this.index === this.images.length - 1;
+
+    return inside;
+  }
+
+  /**
+   * Every constraint present on `geo` must pass: `bounds` (the
+   * `onMapMoveEnd` shape), `center` + `radiusKm`, and `polygon`.
+   */
+  function matchesGeo(listing, geo) {
+    var radiusKm = geo && typeof geo === "object" ? toFiniteNumber(geo.radiusKm) : null;
+    var hasRadius = Boolean(geo && geo.center && radiusKm !== null);
+
+    if (!geo || typeof geo !== "object") return true;
+    if (!geo.bounds && !geo.polygon && !hasRadius) return true;
+    if (!hasCoordinates(listing)) return false;
+
+    if (geo.bounds && !isWithinBounds(listing.lat, listing.lng, geo.bounds)) {
+      return false;
+    }
+
+    if (hasRadius) {
+      if (!(getDistanceKm(geo.center, [listing.lat, listing.lng]) <= radiusKm)) {
+        return false;
+      }
+    }
+
+    if (geo.polygon && !isWithinPolygon(listing.lat, listing.lng, geo.polygon)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  function buildDescriptorMap(config) {
+    var map = {};
+    var fieldDescriptors = Array.isArray(config && config.fields) ? config.fields : [];
+    var filterDescriptors = Array.isArray(config && config.filters) ? config.filters : [];
+
+    fieldDescriptors.concat(filterDescriptors).forEach(function (descriptor) {
+      if (descriptor && descriptor.key && descriptor.type) {
+        map[descriptor.key] = descriptor;
+      }
+    });
+
+    return map;
+  }
+
+  // Match types added through ListingsMap.registerMatchType, shared by every matcher.
+  var matchTypeRegistry = {};
+
+  function registerMatchType(name, fn) {
+    if (!name || typeof name !== "string" || typeof fn !== "function") {
+      throw new TypeError("ListingsMap.registerMatchType expects a type name and a matcher function");
+    }
+    matchTypeRegistry[name] = fn;
+  }
+
+  function unregisterMatchType(name) {
+    delete matchTypeRegistry[name];
+  }
+
+  /**
+   * Per-config `matchers` win over registered types, which win over the
+   * built-in types, so any built-in can be overridden.
+   */
+  function resolveCustomMatcher(type, matchers) {
+    if (!type) return null;
+    if (matchers && typeof matchers[type] === "function") return matchers[type];
+    if (Object.prototype.hasOwnProperty.call(matchTypeRegistry, type)) {
+      return matchTypeRegistry[type];
+    }
+    return null;
+  }
+
+  function matchSearchValue(descriptor, source, submittedValue, matchers) {
+    var type = descriptor && descriptor.type;
+    var customMatcher = resolveCustomMatcher(type, matchers);
+    if (customMatcher) return Boolean(customMatcher(source.raw, submittedValue, descriptor));
+    if (type === "checkbox") return matchesChoices(source, submittedValue, descriptor.mode);
+    if (type === "select" || type === "radio") return matchesExact(source, submittedValue);
+    if (type === "counter") return matchesCounter(source, submittedValue);
+    if (type === "range") return matchesRange(source, submittedValue, descriptor);
+    return matchesSubstring(source, submittedValue);
+  }
+
+  /**
+   * Read a number out of a formatted price string. A currency prefix is
+   * dropped first, dots included ("Rs. 1,250"). The last of "," / "." is the
+   * decimal separator when both appear; a lone "," or "." followed by groups
+   * of three digits ("1,250", "1.250.000") separates thousands.
+   */
+  function parsePriceString(value) {
+    var cleaned = String(value).replace(/[^\d.,-]/g, "").replace(/^[.,]+|[.,]+$/g, "");
+    var lastComma = cleaned.lastIndexOf(",");
+    var lastDot = cleaned.lastIndexOf(".");
+    var number;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      cleaned = lastComma > lastDot
+        ? cleaned.replace(/\./g, "").replace(",", ".")
+        : cleaned.replace(/,/g, "");
+    } else if (lastComma !== -1) {
+      cleaned = /^-?\d{1,3}(,\d{3})+$/.test(cleaned) ? cleaned.replace(/,/g, "") : cleaned.replace(",", ".");
+    } else if (/^-?\d{1,3}(\.\d{3})+$/.test(cleaned)) {
+      cleaned = cleaned.replace(/\./g, "");
+    }
+
+    number = parseFloat(cleaned);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Numeric price used for sorting, range filters and marker labels, kept
+   * apart from the display `price`: a numeric `priceValue` wins, then the
+   * `parsePrice(price, listing)` hook, then `price` itself. Null when unknown.
+   */
+  function getPriceValue(listing, parsePrice) {
+    if (!listing) return null;
+    if (typeof listing.priceValue === "number" && Number.isFinite(listing.priceValue)) {
+      return listing.priceValue;
+    }
+    if (typeof parsePrice === "function") return toFiniteNumber(parsePrice(listing.price, listing));
+    if (typeof listing.price === "number") return Number.isFinite(listing.price) ? listing.price : null;
+    if (typeof listing.price === "string") return parsePriceString(listing.price);
+    return null;
+  }
+
+  /**
+   * Filter values live in searchData.filters; a `price` filter falls back to
+   * the listing's numeric price so range filters work without duplicating it.
+   */
+  function getFilterValue(listing, filterValues, key, parsePrice) {
+    if (filterValues[key] === undefined && key === "price" && listing) {
+      return getPriceValue(listing, parsePrice);
+    }
+    return filterValues[key];
+  }
+
+  /**
+   * Lazily prepared, memoized view of one listing's searchData. One-off
+   * matches build a throwaway view; search indexes keep one per listing.
+   */
+  function createListingView(listing, parsePrice) {
+    var searchData = (listing && listing.searchData) || {};
+    var fieldValues = searchData.fields || {};
+    var filterValues = searchData.filters || {};
+    var fields = {};
+    var filters = {};
+    var location = null;
+    var availability;
+    var priceValue;
+
+    return {
+      listing: listing,
+      location: function () {
+        if (!location) location = prepareSourceValue(searchData.location);
+        return location;
+      },
+      field: function (key) {
+        if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+          fields[key] = prepareSourceValue(fieldValues[key]);
+        }
+        return fields[key];
+      },
+      filter: function (key) {
+        if (!Object.prototype.hasOwnProperty.call(filters, key)) {
+          filters[key] = prepareSourceValue(getFilterValue(listing, filterValues, key, parsePrice));
+        }
+        return filters[key];
+      },
+      availability: function () {
+        if (availability === undefined) availability = prepareAvailability(searchData.availability);
+        return availability;
+      },
+      priceValue: function () {
+        if (priceValue === undefined) priceValue = getPriceValue(listing, parsePrice);
+        return priceValue;
+      },
+    };
+  }
+
+  function hasSearchValue(value) {
+    if (value === null || value === undefined || value === "") return false;
+    if (Array.isArray(value)) return normalizeStringArray(value).length > 0;
+    if (typeof value === "object" && ("min" in value || "max" in value)) {
+      return toFiniteNumber(value.min) !== null || toFiniteNumber(value.max) !== null;
+    }
+    return true;
+  }
+
+  function getCriterionWeight(context, key) {
+    var weights = context.weights;
+    var descriptor = context.descriptorMap[key];
+    var weight = toFiniteNumber(weights && weights[key]);
+
+    if (weight === null && descriptor) weight = toFiniteNumber(descriptor.weight);
+    return weight === null ? 1 : weight;
+  }
+
+  function getValueQuality(descriptor, source, submittedValue, matchers) {
+    var type = descriptor && descriptor.type;
+    if (resolveCustomMatcher(type, matchers)) return 1;
+    if (!type || ["checkbox", "select", "radio", "counter", "range"].indexOf(type) === -1) {
+      return getSubstringQuality(source, submittedValue);
+    }
+    return 1;
+  }
+
+  function getGeoQuality(listing, geo) {
+    var radiusKm = toFiniteNumber(geo.radiusKm);
+    if (!geo.center || radiusKm === null || radiusKm <= 0) return 1;
+    return Math.max(0, 1 - getDistanceKm(geo.center, [listing.lat, listing.lng]) / radiusKm);
+  }
+
+  /**
+   * Evaluate one listing against a payload. Returns `null` on mismatch, or
+   * match details on success. With `withScore`, details also carry the
+   * weighted contribution of every active criterion.
+   */
+  function evaluateSearchData(context, view, payload, withScore) {
+    var descriptorMap = context.descriptorMap;
+    var listing = view.listing;
+    var customFields = (payload && payload.customFields) || {};
+    var filters = (payload && payload.filters) || {};
+    var availabilityWindow = null;
+    var stayPrice = null;
+    var contributions = {};
+    var key;
+    var source;
+
+    function contribute(criterion, quality) {
+      contributions[criterion] = getCriterionWeight(context, criterion) * quality;
+    }
+
+    if (!matchesSubstring(view.location(), payload && payload.location)) {
+      return null;
+    }
+    if (withScore && hasSearchValue(payload && payload.location)) {
+      contribute("location", getSubstringQuality(view.location(), payload.location));
+    }
+
+    if (!matchesGeo(listing, payload && payload.geo)) {
+      return null;
+    }
+    if (withScore && hasCoordinates(listing) && payload && payload.geo && typeof payload.geo === "object") {
+      if (payload.geo.bounds || payload.geo.polygon || payload.geo.center) {
+        contribute("geo", getGeoQuality(listing, payload.geo));
+      }
+    }
+
+    if (payload && (payload.checkIn || payload.checkOut)) {
+      availabilityWindow = findWindowInAvailability(view.availability(), payload);
+      if (!availabilityWindow) {
+        return null;
+      }
+      stayPrice = getListingStayPrice(listing, availabilityWindow.checkIn, availabilityWindow.checkOut);
+      if (withScore) {
+        contribute("availability", 1 / (1 + Math.abs(availabilityWindow.offset)));
+      }
+    }
+
+    for (key in customFields) {
+      if (Object.prototype.hasOwnProperty.call(customFields, key)) {
+        source = view.field(key);
+        if (!matchSearchValue(descriptorMap[key], source, customFields[key], context.matchers)) {
+          return null;
+        }
+        if (withScore && hasSearchValue(customFields[key])) {
+          contribute(key, getValueQuality(descriptorMap[key], source, customFields[key], context.matchers));
+        }
+      }
+    }
+
+    for (key in filters) {
+      if (Object.prototype.hasOwnProperty.call(filters, key)) {
+        source = view.filter(key);
+        if (!matchSearchValue(descriptorMap[key], source, filters[key], context.matchers)) {
+          return null;
+        }
+        if (withScore && hasSearchValue(filters[key])) {
+          contribute(key, getValueQuality(descriptorMap[key], source, filters[key], context.matchers));
+        }
+      }
+    }
+
+    return {
+      availabilityWindow: availabilityWindow,
+      stayPrice: stayPrice,
+      contributions: contributions,
+    };
+  }
+
+  function sumContributions(contributions) {
+    return Object.keys(contributions).reduce(function (total, key) {
+      return total + contributions[key];
+    }, 0);
+  }
+
+  function toScoreResult(details) {
+    return {
+      matched: details !== null,
+      score: details ? sumContributions(details.contributions) : 0,
+      contributions: details ? details.contributions : {},
+      availabilityWindow: details ? details.availabilityWindow : null,
+      stayPrice: details ? details.stayPrice : null,
+    };
+  }
+
+  function createMatchContext(config) {
+    return {
+      descriptorMap: buildDescriptorMap(config),
+      weights: (config && config.weights) || {},
+      matchers: (config && config.matchers) || {},
+      parsePrice: config && typeof config.parsePrice === "function" ? config.parsePrice : null,
+      currencyCode: (config && config.currencyCode) || null,
+      currencyRates: (config && config.currencyRates) || null,
+    };
+  }
+
+  function createSearchDataMatcher(config) {
+    var context = createMatchContext(config);
+
+    function matchListingToSearchPayload(listing, payload) {
+      return evaluateSearchData(context, createListingView(listing, context.parsePrice), payload, false) !== null;
+    }
+
+    /**
+     * Same check as the matcher, but also reports which date window matched
+     * so cards can display the shifted dates of a flexible search, and the
+     * stay price for that window when the listing has a pricing table.
+     */
+    matchListingToSearchPayload.explain = function (listing, payload) {
+      var details = evaluateSearchData(context, createListingView(listing, context.parsePrice), payload, false);
+      return {
+        matched: details !== null,
+        availabilityWindow: details ? details.availabilityWindow : null,
+        stayPrice: details ? details.stayPrice : null,
+      };
+    };
+
+    /**
+     * Scoring mode: relevance is the sum of weighted per-criterion
+     * contributions. Non-matching listings score 0 with no contributions.
+     */
+    matchListingToSearchPayload.score = function (listing, payload) {
+      return toScoreResult(evaluateSearchData(context, createListingView(listing, context.parsePrice), payload, true));
+    };
+
+    return matchListingToSearchPayload;
+  }
+
+  function filterListingsBySearchData(listings, payload, config) {
+    var matcher = createSearchDataMatcher(config);
+    return toArray(listings).filter(function (listing) {
+      return matcher(listing, payload || {});
+    });
+  }
+
+  var FACET_TYPES = ["select", "radio", "checkbox", "counter"];
+
+  function omitSearchValue(payload, groupName, key) {
+    var next = Object.assign({}, payload);
+    next[groupName] = Object.assign({}, payload && payload[groupName]);
+    delete next[groupName][key];
+    return next;
+  }
+
+  /**
+   * Facet options come from `descriptor.options` (strings or `{ value, label }`),
+   * then `min`..`max` for counters, then the distinct values found in listings.
+   */
+  function getFacetOptions(descriptor, views, readValue) {
+    var seen = {};
+    var values = [];
+    var min = toFiniteNumber(descriptor.min);
+    var max = toFiniteNumber(descriptor.max);
+    var value;
+
+    if (toArray(descriptor.options).length > 0) {
+      return toArray(descriptor.options).map(function (option) {
+        if (option && typeof option === "object") {
+          return {
+            value: option.value,
+            label: String(option.label !== undefined ? option.label : option.value),
+          };
+        }
+        return { value: option, label: String(option) };
+      });
+    }
+
+    if (descriptor.type === "counter" && min !== null && max !== null) {
+      for (value = Math.ceil(min); value <= max; value++) {
+        values.push(value);
+      }
+    } else {
+      views.forEach(function (view) {
+        toArray(readValue(view)).forEach(function (entry) {
+          var entryValue = descriptor.type === "counter" ? toFiniteNumber(entry) : String(entry).trim();
+          var seenKey = normalizeString(entryValue);
+          if (entryValue !== null && seenKey && !seen[seenKey]) {
+            seen[seenKey] = true;
+            values.push(entryValue);
+          }
+        });
+      });
+      if (descriptor.type === "counter") {
+        values.sort(function (a, b) {
+          return a - b;
+        });
+      }
+    }
+
+    return values.map(function (entry) {
+      return { value: entry, label: String(entry) };
+    });
+  }
+
+  /**
+   * Count how many listings each option of every select, radio, checkbox and
+   * counter descriptor would yield, given all the other active criteria.
+   * Options of "all" / "none" checkboxes are counted on top of the current
+   * selection, since adding one narrows the results instead of replacing it.
+   * Returns `{ [key]: Array<{ value, label, count }> }`.
+   */
+  function computeFacets(listings, payload, config) {
+    var context = createMatchContext(config);
+    var views = toArray(listings).map(function (listing) {
+      return createListingView(listing, context.parsePrice);
+    });
+    var facets = {};
+    var groups = [
+      { name: "customFields", descriptors: config && config.fields, read: "field" },
+      { name: "filters", descriptors: config && config.filters, read: "filter" },
+    ];
+
+    groups.forEach(function (group) {
+      if (!Array.isArray(group.descriptors)) return;
+
+      group.descriptors.forEach(function (descriptor) {
+        var basePayload;
+        var baseViews;
+        var readSource;
+        var selection;
+
+        if (!descriptor || !descriptor.key || FACET_TYPES.indexOf(descriptor.type) === -1) {
+          return;
+        }
+
+        readSource = function (view) {
+          return view[group.read](descriptor.key);
+        };
+        basePayload = omitSearchValue(payload, group.name, descriptor.key);
+        selection = descriptor.type === "checkbox" && descriptor.mode !== "any"
+          ? toArray(payload && payload[group.name] && payload[group.name][descriptor.key])
+          : [];
+        baseViews = views.filter(function (view) {
+          return evaluateSearchData(context, view, basePayload, false) !== null;
+        });
+
+        facets[descriptor.key] = getFacetOptions(descriptor, views, function (view) {
+          return readSource(view).raw;
+        }).map(function (option) {
+          var submitted = descriptor.type === "checkbox" ? selection.concat(option.value) : option.value;
+          return {
+            value: option.value,
+            label: option.label,
+            count: baseViews.filter(function (view) {
+              return matchSearchValue(descriptor, readSource(view), submitted, context.matchers);
+            }).length,
+          };
+        });
+      });
+    });
+
+    return facets;
+  }
+
+  function evaluateListingViews(context, views, payload) {
+    return views.map(function (view, index) {
+      var result = toScoreResult(evaluateSearchData(context, view, payload || {}, true));
+      result.listing = view.listing;
+      result.index = index;
+      result.priceValue = view.priceValue();
+      return result;
+    }).filter(function (result) {
+      return result.matched;
+    });
+  }
+
+  function rankListingViews(context, views, payload) {
+    return evaluateListingViews(context, views, payload).sort(function (a, b) {
+      return b.score - a.score || a.index - b.index;
+    }).map(function (result) {
+      return {
+        listing: result.listing,
+        score: result.score,
+        contributions: result.contributions,
+        availabilityWindow: result.availabilityWindow,
+        stayPrice: result.stayPrice,
+      };
+    });
+  }
+
+  /**
+   * Matching listings ordered by descending relevance (ties keep input order).
+   * Each entry is `{ listing, score, contributions, availabilityWindow }`.
+   */
+  function rankListingsBySearchData(listings, payload, config) {
+    var context = createMatchContext(config);
+    return rankListingViews(context, toArray(listings).map(function (listing) {
+      return createListingView(listing, context.parsePrice);
+    }), payload);
+  }
+
+  /**
+   * Prebuilt index for repeated queries over a large, stable catalog. Every
+   * listing's searchData is normalized once up front (tokens, exact-value
+   * sets, numbers, sorted availability ranges) and reused by each query, with
+   * the same results as filterListingsBySearchData / rankListingsBySearchData.
+   */
+  function createSearchIndex(listings, config) {
+    var context = createMatchContext(config);
+    var views = toArray(listings).map(function (listing) {
+      var view = createListingView(listing, context.parsePrice);
+      var searchData = (listing && listing.searchData) || {};
+
+      getSourceSet(view.location());
+      view.availability();
+      view.priceValue();
+      Object.keys(searchData.fields || {}).forEach(function (key) {
+        getSourceNumbers(view.field(key));
+        getSourceSet(view.field(key));
+      });
+      Object.keys(searchData.filters || {}).concat(["price"]).forEach(function (key) {
+        getSourceNumbers(view.filter(key));
+        getSourceSet(view.filter(key));
+      });
+      return view;
+    });
+
+    return {
+      size: views.length,
+      query: function (payload) {
+        return views.filter(function (view) {
+          return evaluateSearchData(context, view, payload || {}, false) !== null;
+        }).map(function (view) {
+          return view.listing;
+        });
+      },
+      rank: function (payload) {
+        return rankListingViews(context, views, payload);
+      },
+      // Matches in input order with scores and stay prices; used by price sorts.
+      _evaluate: function (payload) {
+        return evaluateListingViews(context, views, payload);
+      },
+      // Price of a match in `displayCurrency` (the config's currencyCode by
+      // default); null when it is unknown or has no conversion rate.
+      _getSortPrice: function (result, displayCurrency) {
+        var amount = result.stayPrice ? result.stayPrice.total : result.priceValue;
+        var rate = getConversionRate(
+          context.currencyRates,
+          getListingCurrency(result.listing, context.currencyCode),
+          displayCurrency || context.currencyCode
+        );
+        return rate === null || !Number.isFinite(amount) ? null : amount * rate;
+      },
+    };
+  }
+
+  var NUMERIC_FILTER_TYPES = ["counter", "range"];
+
+  function describeValue(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "string") return 'string "' + value + '"';
+    return typeof value;
+  }
+
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+
+  function validateAvailability(availability, report) {
+    var ranges;
+
+    if (availability === undefined) return;
+    if (!Array.isArray(availability) && !isPlainObject(availability)) {
+      report("error", "searchData.availability", "invalid-availability",
+        "availability must be an array of { start, end } ranges or a rules object, got " + describeValue(availability));
+      return;
+    }
+
+    ranges = Array.isArray(availability) ? availability : toArray(availability.ranges);
+    ranges.forEach(function (range, rangeIndex) {
+      var path = "searchData.availability" + (Array.isArray(availability) ? "" : ".ranges") + "[" + rangeIndex + "]";
+      if (!isPlainObject(range)) {
+        report("error", path, "invalid-availability-range", "availability range must be an object with start and end");
+        return;
+      }
+      ["start", "end"].forEach(function (edge) {
+        if (!isValidDateString(range[edge])) {
+          report("error", path + "." + edge, "invalid-date",
+            edge + " must be a YYYY-MM-DD string, got " + describeValue(range[edge]));
+        }
+      });
+      if (isValidDateString(range.start) && isValidDateString(range.end) && range.start > range.end) {
+        report("error", path, "inverted-availability-range", "start " + range.start + " is after end " + range.end);
+      }
+    });
+
+    if (!Array.isArray(availability)) {
+      toArray(availability.blocked).forEach(function (entry, blockedIndex) {
+        if (!isValidDateString(entry) && !isValidRange(entry)) {
+          report("warning", "searchData.availability.blocked[" + blockedIndex + "]", "invalid-blocked-date",
+            "blocked entries must be YYYY-MM-DD strings or { start, end } ranges; this one is ignored");
+        }
+      });
+    }
+  }
+
+  function validateSearchValues(values, groupPath, descriptorMap, report) {
+    if (values === undefined) return;
+    if (!isPlainObject(values)) {
+      report("error", groupPath, "invalid-search-values", groupPath + " must be an object keyed by descriptor key");
+      return;
+    }
+
+    Object.keys(values).forEach(function (key) {
+      var descriptor = descriptorMap[key];
+      if (!descriptor || NUMERIC_FILTER_TYPES.indexOf(descriptor.type) === -1) return;
+      if (toArray(values[key]).some(function (entry) { return typeof entry !== "number" || !Number.isFinite(entry); })) {
+        report("warning", groupPath + "." + key, "non-numeric-value",
+          descriptor.type + " filter expects numbers, got " + describeValue(values[key]));
+      }
+    });
+  }
+
+  /**
+   * Check listings against the documented shape. Nothing is changed or
+   * dropped; every problem is reported as `{ level, index, id, path, code,
+   * message }`. Errors break rendering or matching, warnings degrade them.
+   */
+  function validateListings(listings, config) {
+    var descriptorMap = buildDescriptorMap(config);
+    var seenIds = {};
+    var errors = [];
+    var warnings = [];
+
+    toArray(listings).forEach(function (listing, index) {
+      var id = isPlainObject(listing) ? listing.id : undefined;
+
+      function report(level, path, code, message) {
+        (level === "error" ? errors : warnings).push({
+          level: level,
+          index: index,
+          id: id === undefined ? null : id,
+          path: path,
+          code: code,
+          message: message,
+        });
+      }
+
+      if (!isPlainObject(listing)) {
+        report("error", "", "invalid-listing", "listing must be an object, got " + describeValue(listing));
+        return;
+      }
+
+      if (id === undefined || id === null || id === "") {
+        report("error", "id", "missing-id", "listing has no id; cards and markers cannot be linked");
+      } else if (Object.prototype.hasOwnProperty.call(seenIds, String(id))) {
+        report("error", "id", "duplicate-id", 'id "' + id + '" is already used by listing #' + seenIds[String(id)]);
+      } else {
+        seenIds[String(id)] = index;
+      }
+
+      if (!listing.title) {
+        report("warning", "title", "missing-title", "listing has no title");
+      }
+
+      if (listing.price === undefined) {
+        report("warning", "price", "missing-price", "listing has no price; cards and markers show none");
+      } else if (typeof listing.price !== "number" && typeof listing.price !== "string") {
+        report("error", "price", "invalid-price", "price must be a number or string, got " + describeValue(listing.price));
+      } else if (getPriceValue(listing, config && config.parsePrice) === null) {
+        report("warning", "price", "unparseable-price", "price has no numeric value; set priceValue to sort and filter by it");
+      }
+
+      if (listing.priceValue !== undefined && (typeof listing.priceValue !== "number" || !Number.isFinite(listing.priceValue))) {
+        report("error", "priceValue", "invalid-price-value", "priceValue must be a finite number, got " + describeValue(listing.priceValue));
+      }
+
+      ["lat", "lng"].forEach(function (axis) {
+        var value = listing[axis];
+        var limit = axis === "lat" ? 90 : 180;
+        if (value === undefined || value === null) {
+          report("warning", axis, "missing-coordinate", axis + " is missing; the listing has no map marker");
+        } else if (typeof value !== "number" || Number.isNaN(value)) {
+          report("error", axis, "invalid-coordinate",
+            axis + " must be a number, got " + describeValue(value) + "; the listing has no map marker");
+        } else if (Math.abs(value) > limit) {
+          report("error", axis, "coordinate-out-of-range", axis + " " + value + " is outside ±" + limit);
+        }
+      });
+
+      if (listing.images !== undefined && !Array.isArray(listing.images)) {
+        report("warning", "images", "invalid-images", "images must be an array of URLs");
+      }
+
+      if (listing.searchData === undefined) return;
+      if (!isPlainObject(listing.searchData)) {
+        report("error", "searchData", "invalid-search-data", "searchData must be an object");
+        return;
+      }
+      validateAvailability(listing.searchData.availability, report);
+      validateSearchValues(listing.searchData.fields, "searchData.fields", descriptorMap, report);
+      validateSearchValues(listing.searchData.filters, "searchData.filters", descriptorMap, report);
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+      warnings: warnings,
+    };
+  }
+
+  /** Sort a copy of `list`; equal items keep their input order. */
+  function stableSort(list, compare) {
+    return list.map(function (item, index) {
+      return { item: item, index: index };
+    }).sort(function (a, b) {
+      return compare(a.item, b.item) || a.index - b.index;
+    }).map(function (entry) {
+      return entry.item;
+    });
+  }
+
+  /** Higher values first; listings without a value go last. */
+  function compareDescending(aValue, bValue) {
+    var aMissing = !Number.isFinite(aValue);
+    var bMissing = !Number.isFinite(bValue);
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    return bValue - aValue;
+  }
+
+  /** Lower values first; listings without a value still go last. */
+  function compareAscending(aValue, bValue) {
+    var aMissing = !Number.isFinite(aValue);
+    var bMissing = !Number.isFinite(bValue);
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    return aValue - bValue;
+  }
+
+  function toTimestamp(value) {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && value) {
+      var parsed = Date.parse(value);
+      return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+  }
+
+  var titleCollator = null;
+
+  function compareTitles(a, b) {
+    if (!titleCollator) {
+      titleCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+    }
+    return titleCollator.compare(String(a.title || ""), String(b.title || ""));
+  }
+
+  // Sorts that only need the listing itself; shared by the widget and workers.
+  var LISTING_SORTS = {
+    rating: {
+      label: "Rating: High to Low",
+      compare: function (a, b) {
+        return compareDescending(toFiniteNumber(a.rating), toFiniteNumber(b.rating));
+      },
+    },
+    reviews: {
+      label: "Most Reviewed",
+      compare: function (a, b) {
+        return compareDescending(toFiniteNumber(a.reviewCount), toFiniteNumber(b.reviewCount));
+      },
+    },
+    title: {
+      label: "Title: A to Z",
+      compare: compareTitles,
+    },
+    newest: {
+      label: "Newest",
+      compare: function (a, b) {
+        return compareDescending(toTimestamp(a.createdAt), toTimestamp(b.createdAt));
+      },
+    },
+  };
+
+  /**
+   * Run a query against an index and return matching ids in the requested
+   * order: "default" (input order), "relevance", "price-asc", "price-desc",
+   * or one of the listing sorts ("rating", "reviews", "title", "newest").
+   * Price sorts compare amounts converted to `displayCurrency`.
+   */
+  function querySortedIds(index, payload, sort, displayCurrency) {
+    var results;
+
+    if (sort === "relevance") {
+      results = index.rank(payload).map(function (entry) {
+        return entry.listing;
+      });
+    } else if (sort === "price-asc" || sort === "price-desc") {
+      results = index._evaluate(payload).map(function (result) {
+        result.sortPrice = index._getSortPrice(result, displayCurrency);
+        return result;
+      }).sort(function (a, b) {
+        var compare = sort === "price-asc" ? compareAscending : compareDescending;
+        return compare(a.sortPrice, b.sortPrice) || a.index - b.index;
+      }).map(function (result) {
+        return result.listing;
+      });
+    } else if (Object.prototype.hasOwnProperty.call(LISTING_SORTS, sort)) {
+      results = stableSort(index.query(payload), LISTING_SORTS[sort].compare);
+    } else {
+      results = index.query(payload);
+    }
+
+    return results.map(function (listing) {
+      return listing.id;
+    });
+  }
+
+  /**
+   * Worker-side half of createSearchWorker. Call it from a worker script that
+   * has loaded bp-listings: `ListingsMap.handleSearchWorkerMessages(self)`.
+   * Queries are deferred a tick so ones superseded while queued are skipped.
+   */
+  function handleSearchWorkerMessages(scope) {
+    var index = createSearchIndex([], null);
+    var latestQueryId = 0;
+
+    scope.onmessage = function (event) {
+      var data = (event && event.data) || {};
+
+      if (data.type === "init") {
+        index = createSearchIndex(data.listings, data.config);
+        return;
+      }
+      if (data.type !== "query") {
+        return;
+      }
+
+      latestQueryId = data.id;
+      setTimeout(function () {
+        if (data.id !== latestQueryId) {
+          scope.postMessage({ type: "cancelled", id: data.id });
+          return;
+        }
+        try {
+          scope.postMessage({
+            type: "result",
+            id: data.id,
+            ids: querySortedIds(index, data.payload || {}, data.sort, data.displayCurrency),
+          });
+        } catch (error) {
+          scope.postMessage({ type: "error", id: data.id, message: String(error && error.message) });
+        }
+      }, 0);
+    };
+  }
+
+  // Captured while the classic script runs so workers can importScripts it.
+  var librarySourceUrl =
+    typeof document !== "undefined" && document.currentScript && document.currentScript.src
+      ? document.currentScript.src
+      : null;
+
+  function createAbortError() {
+    var error = new Error("ListingsMap: search query was superseded");
+    error.name = "AbortError";
+    return error;
+  }
+
+  function hasFunctionConfig(config) {
+    return (
+      Object.keys(matchTypeRegistry).length > 0 ||
+      Boolean(config && config.matchers && Object.keys(config.matchers).length > 0) ||
+      Boolean(config && typeof config.parsePrice === "function")
+    );
+  }
+
+  function spawnSearchWorker(settings) {
+    var scriptUrl = settings.scriptUrl || librarySourceUrl;
+    var bootstrap;
+
+    if (settings.workerUrl) {
+      return new Worker(settings.workerUrl);
+    }
+    if (!scriptUrl || typeof Blob !== "function" || typeof URL === "undefined") {
+      return null;
+    }
+
+    bootstrap =
+      "importScripts(" + JSON.stringify(scriptUrl) + ");" +
+      "ListingsMap.handleSearchWorkerMessages(self);";
+    return new Worker(URL.createObjectURL(new Blob([bootstrap], { type: "text/javascript" })));
+  }
+
+  /**
+   * Off-main-thread variant of the search helpers. Listings are posted to the
+   * worker once (and again on setListings); each query posts only the
+   * payload and resolves with ids in sorted order. Starting a new query
+   * rejects the previous pending one with an AbortError. Falls back to the
+   * synchronous index when Worker is unavailable, when the config carries
+   * matcher or parsePrice functions (which cannot be cloned), or when the
+   * worker fails.
+   */
+  function createSearchWorker(listings, config, options) {
+    var settings = options || {};
+    var currentListings = toArray(listings);
+    var syncIndex = null;
+    var worker = null;
+    var nextQueryId = 0;
+    var pending = null;
+
+    function runSync(payload, sort, displayCurrency) {
+      if (!syncIndex) {
+        syncIndex = createSearchIndex(currentListings, config);
+      }
+      return querySortedIds(syncIndex, payload || {}, sort, displayCurrency);
+    }
+
+    function fallBackToSync() {
+      var request = pending;
+
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+      controller.mode = "sync";
+      pending = null;
+
+      if (request) {
+        try {
+          request.resolve(runSync(request.payload, request.sort, request.displayCurrency));
+        } catch (error) {
+          request.reject(error);
+        }
+      }
+    }
+
+    function postListings() {
+      try {
+        worker.postMessage({ type: "init", listings: currentListings, config: config || null });
+      } catch (error) {
+        fallBackToSync();
+      }
+    }
+
+    var controller = {
+      mode: "sync",
+
+      query: function (payload, queryOptions) {
+        var sort = (queryOptions && queryOptions.sort) || "default";
+        var displayCurrency = (queryOptions && queryOptions.displayCurrency) || null;
+
+        if (pending) {
+          pending.reject(createAbortError());
+          pending = null;
+        }
+
+        if (!worker) {
+          try {
+            return Promise.resolve(runSync(payload, sort, displayCurrency));
+          } catch (error) {
+            return Promise.reject(error);
+          }
+        }
+
+        nextQueryId += 1;
+        return new Promise(function (resolve, reject) {
+          pending = {
+            id: nextQueryId,
+            payload: payload,
+            sort: sort,
+            displayCurrency: displayCurrency,
+            resolve: resolve,
+            reject: reject,
+          };
+          try {
+            worker.postMessage({
+              type: "query",
+              id: nextQueryId,
+              payload: payload || {},
+              sort: sort,
+              displayCurrency: displayCurrency,
+            });
+          } catch (error) {
+            fallBackToSync();
+          }
+        });
+      },
+
+      setListings: function (nextListings) {
+        currentListings = toArray(nextListings);
+        syncIndex = null;
+        if (worker) {
+          postListings();
+        }
+      },
+
+      terminate: function () {
+        if (pending) {
+          pending.reject(createAbortError());
+          pending = null;
+        }
+        if (worker) {
+          worker.terminate();
+          worker = null;
+        }
+        controller.mode = "sync";
+      },
+    };
+
+    if (typeof Worker === "function" && !hasFunctionConfig(config)) {
+      try {
+        worker = spawnSearchWorker(settings);
+      } catch (error) {
+        worker = null;
+      }
+    }
+
+    if (worker) {
+      controller.mode = "worker";
+      worker.onmessage = function (event) {
+        var data = (event && event.data) || {};
+        if (!pending || data.id !== pending.id) {
+          return;
+        }
+        if (data.type === "result") {
+          pending.resolve(data.ids);
+          pending = null;
+        } else if (data.type === "error") {
+          pending.reject(new Error(data.message));
+          pending = null;
+        }
+      };
+      worker.onerror = function (event) {
+        if (event && typeof event.preventDefault === "function") {
+          event.preventDefault();
+        }
+        fallBackToSync();
+      };
+      postListings();
+    }
+
+    return controller;
+  }
+
+  function loadLeaflet(callback) {
+    if (window.L) {
+      callback();
+      return;
+    }
+    // Load CSS
+    var link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css";
+    document.head.appendChild(link);
+    // Load JS
+    var script = document.createElement("script");
+    script.src = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js";
+    script.onload = callback;
+    document.head.appendChild(script);
+  }
+
+  // ==========================================
+  // Carousel Component
+  // ==========================================
+  function Carousel(images) {
+    var self = this;
+    self.index = 0;
+    self.images = images || [];
+
+    self.el = el("div", "lm-carousel");
+    self.track = el("div", "lm-carousel-track");
+
+    self.images.forEach(function (src) {
+      var slide = el("div", "lm-carousel-slide");
+      var img = el("img", null, { src: src, alt: "Property photo", loading: "lazy" });
+      slide.appendChild(img);
+      self.track.appendChild(slide);
+    });
+
+    self.el.appendChild(self.track);
+
+    // Prev / Next buttons
+    if (self.images.length > 1) {
+      self.btnPrev = el("button", "lm-carousel-btn lm-carousel-btn-prev", {
+        html: ICONS.chevronLeft,
+        "aria-label": "Previous image",
+      });
+      self.btnNext = el("button", "lm-carousel-btn lm-carousel-btn-next", {
+        html: ICONS.chevronRight,
+        "aria-label": "Next image",
+      });
+
+      self.btnPrev.addEventListener("click", function (e) {
+        e.stopPropagation();
+        self.go(self.index - 1);
+      });
+      self.btnNext.addEventListener("click", function (e) {
+        e.stopPropagation();
+        self.go(self.index + 1);
+      });
+
+      self.el.appendChild(self.btnPrev);
+      self.el.appendChild(self.btnNext);
+
+      // Dots
+      self.dotsContainer = el("div", "lm-carousel-dots");
+      self.dots = [];
+      self.images.forEach(function (_, i) {
+        var dot = el("button", "lm-carousel-dot" + (i === 0 ? " lm-carousel-dot-active" : ""), {
+          "aria-label": "Go to image " + (i + 1),
+        });
+        dot.addEventListener("click", function (e) {
+          e.stopPropagation();
+          self.go(i);
+        });
+        self.dots.push(dot);
+        self.dotsContainer.appendChild(dot);
+      });
+      self.el.appendChild(self.dotsContainer);
+    }
+
+    self.update();
+  }
+
+  Carousel.prototype.go = function (i) {
+    if (i < 0 || i >= this.images.length) return;
+    this.index = i;
+    this.update();
+  };
+
+  Carousel.prototype.update = function () {
+    this.track.style.transform = "translateX(-" + this.index * 100 + "%)";
+    if (this.btnPrev) {
+      this.btnPrev.disabled = this.index === 0;
+    }
+    if (this.btnNext) {
+      this.btnNext.disabled = this.index === this.images.length - 1;
     }
     if (this.dots) {
       var self = this;
@@ -472,71 +2014,184 @@ import './bp-listings.scss';
   // ==========================================
   // ListingCard Component
   // ==========================================
+  function isDomNode(value) {
+    return Boolean(value) && typeof value.nodeType === "number";
+  }
+
+  // Hooks may return either a DOM node or an HTML string.
+  function setNodeContent(node, content) {
+    node.innerHTML = "";
+    if (isDomNode(content)) {
+      node.appendChild(content);
+    } else {
+      node.innerHTML = content === null || content === undefined ? "" : String(content);
+    }
+  }
+
+  /**
+   * The card root (`.lm-card` with `data-listing-id`) and its click wiring are
+   * always built here. `renderCard` replaces everything inside it; otherwise
+   * `renderCardMedia` / `renderCardBody` replace one section and
+   * `renderCardFooter` adds one. Hooks returning nothing keep the default.
+   */
   function ListingCard(listing, options) {
     var self = this;
     self.listing = listing;
     self.options = options;
-    self.favorited = listing.favorited || false;
+    self.favorited = typeof options.favorited === "boolean" ? options.favorited : Boolean(listing.favorited);
+    self.distanceKm = typeof options.distanceKm === "number" ? options.distanceKm : null;
 
     self.el = el("div", "lm-card");
     self.el.setAttribute("data-listing-id", listing.id);
 
-    // Carousel
-    self.carousel = new Carousel(listing.images || []);
-    self.el.appendChild(self.carousel.el);
+    var helpers = self._createHelpers();
+    var custom = self._callHook("renderCard", helpers);
+
+    if (custom) {
+      self.el.classList.add("lm-card-custom");
+      self.el.appendChild(custom);
+    } else {
+      self.el.appendChild(self._callHook("renderCardMedia", helpers) || self._renderMedia(helpers));
+      self.el.appendChild(self._callHook("renderCardBody", helpers) || self._renderBody(helpers));
+      var footer = self._callHook("renderCardFooter", helpers);
+      if (footer) {
+        self.el.appendChild(footer);
+      }
+    }
+
+    // Click handler
+    self.el.addEventListener("click", function () {
+      if (options.onListingClick) {
+        options.onListingClick(listing);
+      }
+    });
+  }
 
-    if (listing.badge) {
-      self.carousel.el.appendChild(createBadgeElement(listing.badge));
+  ListingCard.prototype._callHook = function (name, helpers) {
+    var hook = this.options[name];
+    var result;
+    if (typeof hook !== "function") {
+      return null;
     }
+    result = hook(this.listing, helpers);
+    if (result && !isDomNode(result)) {
+      console.warn("ListingsMap: " + name + " must return a DOM element; using the default card");
+      return null;
+    }
+    return result || null;
+  };
+
+  /**
+   * Builders for the default card parts, bound to this listing, so custom
+   * cards can mix them with their own markup.
+   */
+  ListingCard.prototype._createHelpers = function () {
+    var self = this;
+    var listing = self.listing;
+    var options = self.options;
+    return {
+      el: el,
+      stayPrice: options.stayPrice || null,
+      distanceKm: self.distanceKm,
+      carousel: function (images) {
+        var carousel = new Carousel(images || listing.images || []);
+        if (!self.carousel) {
+          self.carousel = carousel;
+        }
+        return carousel.el;
+      },
+      escapeHtml: escapeHtml,
+      badge: function (value) {
+        return createBadgeElement(value === undefined ? listing.badge : value, null, options.htmlPolicy, listing);
+      },
+      rating: function () {
+        return createRatingElement(listing);
+      },
+      price: function () {
+        return createPriceElement(
+          listing,
+          options.currency || "",
+          options.stayPrice,
+          options.priceFormat,
+          options.priceAmount,
+          options.htmlPolicy
+        );
+      },
+      distance: function () {
+        return self.distanceKm !== null
+          ? el("div", "lm-card-distance", { text: formatDistance(self.distanceKm) })
+          : null;
+      },
+      favoriteButton: function () {
+        return self._createHeartButton();
+      },
+    };
+  };
 
-    // Heart button
-    self.heartBtn = el(
+  ListingCard.prototype._createHeartButton = function () {
+    var self = this;
+    var button = el(
       "button",
       "lm-heart-btn" + (self.favorited ? " lm-heart-btn-active" : ""),
       { html: ICONS.heart, "aria-label": "Save to wishlist" }
     );
-    self.heartBtn.addEventListener("click", function (e) {
+    button.addEventListener("click", function (e) {
       e.stopPropagation();
       self.favorited = !self.favorited;
       if (self.favorited) {
-        self.heartBtn.classList.add("lm-heart-btn-active");
+        button.classList.add("lm-heart-btn-active");
       } else {
-        self.heartBtn.classList.remove("lm-heart-btn-active");
+        button.classList.remove("lm-heart-btn-active");
       }
-      if (options.onFavorite) {
-        options.onFavorite(listing, self.favorited);
+      if (self.options.onFavorite) {
+        self.options.onFavorite(self.listing, self.favorited);
       }
     });
-    self.carousel.el.appendChild(self.heartBtn);
+    self.heartBtn = button;
+    return button;
+  };
+
+  // Carousel with the badge and heart button on top
+  ListingCard.prototype._renderMedia = function (helpers) {
+    var media = helpers.carousel();
+    var badge = helpers.badge();
+
+    if (badge) {
+      media.appendChild(badge);
+    }
+    media.appendChild(helpers.favoriteButton());
+    return media;
+  };
 
-    // Card Info
+  ListingCard.prototype._renderBody = function (helpers) {
+    var listing = this.listing;
+    var policy = this.options.htmlPolicy;
     var info = el("div", "lm-card-info");
-    var title = el("div", "lm-card-title", { text: listing.title || "" });
-    var subtitle = listing.subtitle
-      ? el("div", "lm-card-subtitle", { text: listing.subtitle })
-      : null;
-    var priceContainer = createPriceElement(listing, options.currency || "");
     var header = el("div", "lm-card-header");
-    var rating = createRatingElement(listing);
+    var rating = helpers.rating();
+    var distance = helpers.distance();
+    var priceContainer = helpers.price();
 
-    header.appendChild(title);
+    header.appendChild(createFieldElement("lm-card-title", listing, "title", policy));
     if (rating) {
       header.appendChild(rating);
     }
     info.appendChild(header);
 
-    if (subtitle) {
-      info.appendChild(subtitle);
+    if (listing.subtitle) {
+      info.appendChild(createFieldElement("lm-card-subtitle", listing, "subtitle", policy));
     }
 
     if (listing.details) {
-      info.appendChild(
-        el("div", "lm-card-details", { text: listing.details })
-      );
+      info.appendChild(createFieldElement("lm-card-details", listing, "details", policy));
     }
 
     if (listing.dates) {
-      info.appendChild(el("div", "lm-card-dates", { text: listing.dates }));
+      info.appendChild(createFieldElement("lm-card-dates", listing, "dates", policy));
+    }
+
+    if (distance) {
+      info.appendChild(distance);
     }
 
     if (priceContainer) {
@@ -544,18 +2199,11 @@ import './bp-listings.scss';
     }
 
     if (listing.tag) {
-      info.appendChild(el("div", "lm-card-tag", { text: listing.tag }));
+      info.appendChild(createFieldElement("lm-card-tag", listing, "tag", policy));
     }
 
-    self.el.appendChild(info);
-
-    // Click handler
-    self.el.addEventListener("click", function () {
-      if (options.onListingClick) {
-        options.onListingClick(listing);
-      }
-    });
-  }
+    return info;
+  };
 
   ListingCard.prototype.setActive = function (active) {
     if (active) {
@@ -575,6 +2223,12 @@ import './bp-listings.scss';
         container: null,
         listings: [],
         currency: "$",
+        locale: null, // BCP 47 tag for number formatting; null keeps "en-US"
+        currencyCode: null, // ISO 4217 code; Intl then supplies the symbol instead of `currency`
+        compactMarkerPrices: false, // true shows short map pin labels such as "₱13.7K"
+        currencyRates: null, // { PHP: 56.2, USD: 1 } units per common base, for listing.currencyCode conversion
+        showCurrencySelect: false, // true adds a toolbar select over the currencyRates codes
+        parsePrice: null, // function(price, listing) returning the numeric price
         mapOptions: {
           center: [14.55, 121.03],
           zoom: 15,
@@ -584,17 +2238,39 @@ import './bp-listings.scss';
           '&copy; <a href="https://www.openstreetmap.org/">OpenStreetMap</a> contributors',
         showMapToggle: true,
         showSort: true,
+        sortOptions: null, // [{ value, label, compare }] or built-in sort names; null keeps the defaults
         showPagination: true,
+        resultsSummary: false, // true or function({ start, end, total }) returning the toolbar text
+        pageSizeOptions: null, // [12, 24, 48] adds a page-size select to the toolbar
+        renderCard: null, // function(listing, helpers) returning the card content element
+        renderCardMedia: null, // function(listing, helpers) replacing the carousel section
+        renderCardBody: null, // function(listing, helpers) replacing the text section
+        renderCardFooter: null, // function(listing, helpers) returning an element added below the body
+        renderPopup: null, // function(listing, helpers) returning the popup DOM node or HTML
+        renderMarker: null, // function(listing, state) returning the marker DOM node or HTML
+        allowHtmlFields: null, // ["details"] listing fields rendered as HTML instead of escaped text
+        sanitizeHtml: null, // function(html, field, listing) cleaning allowHtmlFields values
         viewMode: "grid", // "grid" | "list"
         stickyMap: false, // true keeps map pinned while page scrolls
         pageSize: 12, // explicit values <= 0 disable pagination
-        paginationMode: "pages", // "pages" | "infinite"
+        paginationMode: "pages", // "pages" | "infinite" | "load-more"
+        virtualize: false, // true mounts only the cards in or near the viewport
+        virtualOverscan: 2, // rows mounted above and below the viewport when virtualizing
         fullHeightMap: false, // true makes widget fill viewport height
         minDesktopColumns: 3,
         maxDesktopColumns: 8,
         markerFocusZoom: 15,
         markerFocusCenter: null, // [lat, lng] when you want a fixed center target
+        referencePoint: null, // [lat, lng], { lat, lng }, "map-center" or "search" for distances
         renderSearchSlot: null, // callback: function(containerEl, widget) { ... } — optionally return a cleanup function
+        searchConfig: null, // { fields, filters, weights, matchers } used by setSearchPayload
+        searchPayload: null, // initial search payload applied to the listings
+        dataSource: null, // function(query) returning a Promise of { items, total }; replaces `listings`
+        onResultsChange: null, // callback: function({ total, payload })
+        urlState: false, // true or { params, payload } to mirror sort, page, view, selection and map in the query string
+        validate: false, // true runs validateListings on init and setListings
+        onValidationIssue: null, // callback: function(issue)
+        onSortChange: null, // callback: function(value) when the sort select changes
         onFavorite: null,
         onListingClick: null,
         onMapMoveEnd: null,
@@ -604,30 +2280,91 @@ import './bp-listings.scss';
     self.cards = [];
     self.markers = [];
     self.activeListingId = null;
+    self._hoveredListingId = null;
+    self._visitedListings = {};
+    self._favorites = {};
     self.map = null;
     self._mapVisible = true;
     self._viewMode = self._resolveViewMode(self.config.viewMode);
     self.config.viewMode = self._viewMode;
     self._stickyMap = Boolean(self.config.stickyMap);
     self.config.stickyMap = self._stickyMap;
-    self._sortOrder = "default";
+    self._htmlPolicy = resolveHtmlPolicy(self.config.allowHtmlFields, self.config.sanitizeHtml);
+    self._priceFormat = self._resolvePriceFormat();
+    // Currency of listings without their own currencyCode
+    self._baseCurrency = self._priceFormat.currencyCode;
+    self._sortOptions = self._resolveSortOptions(self.config.sortOptions);
+    self._sortOrder = self._resolveSortOrder("default");
     self._currentPage = 1;
     self._paginationMode = self._resolvePaginationMode(self.config.paginationMode);
     self.config.paginationMode = self._paginationMode;
     self._fullHeightMap = Boolean(self.config.fullHeightMap);
     self.config.fullHeightMap = self._fullHeightMap;
     self._visibleCount = 0;
+    self._allListings = self.config.listings.slice();
     self._originalListings = self.config.listings.slice();
+    self._relevanceScores = {};
+    self._searchIndex = null;
+    self._searchPayload = null;
+    self._searchStayPrices = {};
+    self._stayDates = null;
+    self._stayPrices = {};
+    self._referencePoint = self.config.referencePoint;
+    self._distances = {};
+    self._markerCache = {};
     self._searchSlot = null;
     self._searchSlotCleanup = null;
     self._isDestroyed = false;
     self._nativeSortChangeHandler = null;
+    self._currencyChangeHandler = null;
+    self._pageSizeChangeHandler = null;
     self._listingsScrollHandler = null;
     self._windowResizeHandler = null;
     self._infiniteScrollObserver = null;
     self._infiniteScrollSentinel = null;
+    self._urlState = self._resolveUrlState(self.config.urlState);
+    self._defaultViewMode = self._viewMode;
+    self._urlMapView = null;
+    self._restoringUrlState = false;
+    self._popStateHandler = null;
+    self._virtualListings = null;
+    self._virtualRange = null;
+    self._virtualColumns = 0;
+    self._virtualRowHeight = null;
+    self._virtualCards = {};
+    self._virtualTopSpacer = null;
+    self._virtualBottomSpacer = null;
+    self._remoteTotal = 0;
+    self._remoteController = null;
+    self._remoteRequestId = 0;
+    self._remoteLoading = false;
+    self._remoteLoaded = false;
+    self._remoteStatus = null;
+    self._loadMoreFocusIndex = null;
+    if (self.config.dataSource) {
+      self.config.listings = [];
+      self._allListings = [];
+      self._originalListings = [];
+    }
 
     self._resetPaginationState();
+    self._validateListings(self._allListings);
+    self._stayDates = normalizeStayDates(self.config.stayDates);
+    self._searchPayload = self.config.searchPayload || null;
+    if (self._urlState) {
+      self._restoreUrlState(self._readUrlState());
+    }
+
+    if (self._searchPayload && !self.config.dataSource) {
+      self._applySearchPayload();
+    }
+    self._updateStayPrices();
+    self._updateDistances();
+    self._sortListings();
+    // Remote page counts aren't known until the first response.
+    if (self._urlState && !self.config.dataSource) {
+      self._clampPaginationState();
+    }
 
     self._init();
   }
@@ -667,7 +2404,12 @@ import './bp-listings.scss';
     self.listingsPanel.appendChild(self.stickyControls);
 
     // Toolbar
-    if (self.config.showMapToggle || self.config.showSort) {
+    if (
+      self.config.showMapToggle ||
+      self.config.showSort ||
+      self.config.resultsSummary ||
+      self.config.pageSizeOptions
+    ) {
       self._renderToolbar();
     }
 
@@ -692,6 +2434,7 @@ import './bp-listings.scss';
     });
     self.listingsPanel.appendChild(self._infiniteScrollSentinel);
     self.listingsPanel.appendChild(self.paginationContainer);
+    self._renderLoadMoreControls();
     self.backToTopBtn = el("button", "lm-back-to-top", {
       type: "button",
       "aria-label": "Back to top",
@@ -703,17 +2446,27 @@ import './bp-listings.scss';
     self.listingsPanelShell.appendChild(self.backToTopBtn);
     self._listingsScrollHandler = function () {
       self._updateBackToTopVisibility();
+      self._updateVirtualWindow();
     };
     self._scrollListenerTarget = self._stickyMap ? window : self.listingsPanel;
     self._scrollListenerTarget.addEventListener("scroll", self._listingsScrollHandler);
     self._updateBackToTopVisibility();
     self._windowResizeHandler = function () {
       self._updateDynamicGridColumns();
+      // Card heights follow their width, so measure rows again.
+      self._virtualRowHeight = null;
+      self._updateVirtualWindow(true);
       if (self._stickyMap) {
         self._updateBackToTopPosition();
       }
     };
     window.addEventListener("resize", self._windowResizeHandler);
+    if (self._urlState) {
+      self._popStateHandler = function () {
+        self._applyUrlState(self._readUrlState());
+      };
+      window.addEventListener("popstate", self._popStateHandler);
+    }
 
     // Map panel
     self.mapPanel = el("div", "lm-map-panel");
@@ -739,6 +2492,11 @@ import './bp-listings.scss';
     loadLeaflet(function () {
       self._initMap();
     });
+
+    // After the map so the first query has bounds when Leaflet is already loaded
+    if (self.config.dataSource) {
+      self._fetchRemoteListings();
+    }
   };
 
   ListingsMapWidget.prototype._getListingsPanelWidth = function () {
@@ -791,11 +2549,13 @@ import './bp-listings.scss';
     }
     if (this._viewMode === "list") {
       this.listingsGrid.style.gridTemplateColumns = "repeat(1, minmax(0, 1fr))";
+      this._syncVirtualColumns();
       return;
     }
     var columns = this._getTargetGridColumns();
     this.listingsGrid.style.gridTemplateColumns =
       "repeat(" + columns + ", minmax(0, 1fr))";
+    this._syncVirtualColumns();
   };
 
   ListingsMapWidget.prototype._updateBackToTopVisibility = function () {
@@ -842,20 +2602,18 @@ import './bp-listings.scss';
 
     if (self.config.showSort) {
       var sortWrap = el("div", "lm-sort-wrapper");
-      var options = [
-        { value: "default", label: "Sort: Default" },
-        { value: "price-asc", label: "Price: Low to High" },
-        { value: "price-desc", label: "Price: High to Low" },
-      ];
 
       self.sortSelect = el("select", "lm-sort-select", { "aria-label": "Sort listings" });
-      options.forEach(function (opt) {
+      self._sortOptions.forEach(function (opt) {
         var option = el("option", null, { value: opt.value, text: opt.label });
         self.sortSelect.appendChild(option);
       });
       self.sortSelect.value = self._sortOrder;
       self._nativeSortChangeHandler = function () {
         self._applySortOrder(self.sortSelect.value);
+        if (self.config.onSortChange) {
+          self.config.onSortChange(self._sortOrder);
+        }
       };
       self.sortSelect.addEventListener("change", self._nativeSortChangeHandler);
       sortWrap.appendChild(self.sortSelect);
@@ -863,109 +2621,698 @@ import './bp-listings.scss';
       left.appendChild(sortWrap);
     }
 
+    if (self.config.resultsSummary) {
+      self.resultsSummary = el("div", "lm-results-summary", { "aria-live": "polite" });
+      left.appendChild(self.resultsSummary);
+    }
+
+    if (self.config.showCurrencySelect) {
+      self._renderCurrencySelect(left);
+    }
+
+    if (self.config.pageSizeOptions) {
+      self._renderPageSizeSelect(left);
+    }
+
     self.toolbar.appendChild(left);
 
     // Right side: view toggle + map toggle
     var right = el("div", "lm-toolbar-right");
     self._renderViewToggle(right);
 
-    if (self.config.showMapToggle) {
-      self.mapToggleBtn = el("button", "lm-toggle-map-btn", {
-        "aria-label": "Toggle map",
+    if (self.config.showMapToggle) {
+      self.mapToggleBtn = el("button", "lm-toggle-map-btn", {
+        "aria-label": "Toggle map",
+      });
+      self.mapToggleBtn.innerHTML = ICONS.mapPin + " <span>Show map</span>";
+      self._updateToggleLabel();
+      self.mapToggleBtn.addEventListener("click", function () {
+        self.toggleMap();
+      });
+      right.appendChild(self.mapToggleBtn);
+    }
+
+    self.toolbar.appendChild(right);
+    if (self.stickyControls) {
+      self.stickyControls.appendChild(self.toolbar);
+    } else {
+      self.listingsPanel.appendChild(self.toolbar);
+    }
+  };
+
+  ListingsMapWidget.prototype._renderCurrencySelect = function (parent) {
+    var self = this;
+    var codes = Object.keys(self.config.currencyRates || {}).filter(isSupportedCurrency);
+    var wrap;
+
+    if (codes.length === 0) {
+      return;
+    }
+    // Without a rate for the base currency there is nothing to convert from.
+    if (codes.indexOf(self._baseCurrency) === -1) {
+      console.warn("ListingsMap: showCurrencySelect needs a currencyCode option listed in currencyRates");
+      return;
+    }
+
+    wrap = el("div", "lm-currency-wrapper");
+    self.currencySelect = el("select", "lm-currency-select", { "aria-label": "Display currency" });
+    codes.forEach(function (code) {
+      self.currencySelect.appendChild(el("option", null, { value: code, text: code }));
+    });
+    self.currencySelect.value = self._priceFormat.currencyCode;
+    self._currencyChangeHandler = function () {
+      self.setDisplayCurrency(self.currencySelect.value);
+    };
+    self.currencySelect.addEventListener("change", self._currencyChangeHandler);
+    wrap.appendChild(self.currencySelect);
+    parent.appendChild(wrap);
+  };
+
+  // The current pageSize is always offered, even when it isn't in pageSizeOptions;
+  // 0 in the options, or an unpaginated widget, adds "All".
+  ListingsMapWidget.prototype._renderPageSizeSelect = function (parent) {
+    var self = this;
+    var sizes = toArray(self.config.pageSizeOptions)
+      .map(function (size) { return Math.floor(Number(size)); })
+      .filter(function (size) { return size >= 0; });
+    var showAll = sizes.indexOf(0) !== -1 || !self._isFinitePageSize();
+    var wrap;
+
+    sizes = sizes.filter(function (size) { return size > 0; });
+    if (self._isFinitePageSize() && sizes.indexOf(self.config.pageSize) === -1) {
+      sizes.push(self.config.pageSize);
+    }
+    sizes = sizes
+      .filter(function (size, index) { return sizes.indexOf(size) === index; })
+      .sort(function (a, b) { return a - b; });
+    if (sizes.length === 0) {
+      return;
+    }
+
+    wrap = el("div", "lm-page-size-wrapper");
+    self.pageSizeSelect = el("select", "lm-page-size-select", { "aria-label": "Listings per page" });
+    sizes.forEach(function (size) {
+      self.pageSizeSelect.appendChild(el("option", null, { value: String(size), text: size + " per page" }));
+    });
+    if (showAll) {
+      self.pageSizeSelect.appendChild(el("option", null, { value: "0", text: "All" }));
+    }
+    self._syncPageSizeControl();
+    self._pageSizeChangeHandler = function () {
+      self.setPageSize(Number(self.pageSizeSelect.value));
+    };
+    self.pageSizeSelect.addEventListener("change", self._pageSizeChangeHandler);
+    wrap.appendChild(self.pageSizeSelect);
+    parent.appendChild(wrap);
+  };
+
+  ListingsMapWidget.prototype._syncPageSizeControl = function () {
+    if (this.pageSizeSelect) {
+      this.pageSizeSelect.value = this._isFinitePageSize() ? String(this.config.pageSize) : "0";
+    }
+  };
+
+  /**
+   * 1-based range of the listings shown, out of every result (`total` from a
+   * dataSource). Infinite and load-more modes count from the first listing.
+   */
+  ListingsMapWidget.prototype._getResultsRange = function () {
+    var total = this._getResultCount();
+    var start = 1;
+    var end = total;
+
+    if (this._isFinitePageSize()) {
+      if (this._isChunkedPaginationMode()) {
+        end = Math.min(total, this._visibleCount);
+      } else {
+        start = (this._currentPage - 1) * this.config.pageSize + 1;
+        end = Math.min(total, this._currentPage * this.config.pageSize);
+      }
+    }
+    return { start: total > 0 ? start : 0, end: end, total: total };
+  };
+
+  ListingsMapWidget.prototype._updateResultsSummary = function () {
+    var range;
+    var text;
+
+    if (!this.resultsSummary) {
+      return;
+    }
+    range = this._getResultsRange();
+    if (typeof this.config.resultsSummary === "function") {
+      text = this.config.resultsSummary(range);
+    } else if (range.total === 0) {
+      text = "No stays";
+    } else if (range.start === 1 && range.end === range.total) {
+      text = range.total + (range.total === 1 ? " stay" : " stays");
+    } else {
+      text = "Showing " + range.start + "–" + range.end + " of " + range.total + " stays";
+    }
+    this.resultsSummary.textContent = text == null ? "" : String(text);
+  };
+
+  ListingsMapWidget.prototype._renderViewToggle = function (target) {
+    var self = this;
+    self.viewToggle = el("div", "lm-view-toggle-group", {
+      role: "group",
+      "aria-label": "Listing view mode",
+    });
+    self.gridViewBtn = el("button", "lm-view-toggle-btn", {
+      html: ICONS.grid,
+      "aria-label": "Grid view",
+      type: "button",
+    });
+    self.listViewBtn = el("button", "lm-view-toggle-btn", {
+      html: ICONS.list,
+      "aria-label": "List view",
+      type: "button",
+    });
+
+    self.gridViewBtn.addEventListener("click", function () {
+      self.setViewMode("grid");
+    });
+    self.listViewBtn.addEventListener("click", function () {
+      self.setViewMode("list");
+    });
+
+    self.viewToggle.appendChild(self.gridViewBtn);
+    self.viewToggle.appendChild(self.listViewBtn);
+    target.appendChild(self.viewToggle);
+    self._syncViewModeControls();
+  };
+
+  ListingsMapWidget.prototype._updateToggleLabel = function () {
+    if (!this.mapToggleBtn) return;
+    var span = this.mapToggleBtn.querySelector("span");
+    if (span) {
+      span.textContent = this._mapVisible ? "Hide map" : "Show map";
+    }
+  };
+
+  // ==========================================
+  // Sort Logic
+  // ==========================================
+  // "relevance" is opt-in through sortOptions: without search scores it would
+  // just repeat the default order.
+  var DEFAULT_SORT_OPTIONS = ["default", "price-asc", "price-desc"];
+
+  ListingsMapWidget.prototype._getBuiltInSorts = function () {
+    var self = this;
+    return Object.assign(
+      {
+        default: { label: "Sort: Default", compare: null },
+        "price-asc": {
+          label: "Price: Low to High",
+          compare: function (a, b) {
+            return compareAscending(self._getDisplayPrice(a), self._getDisplayPrice(b));
+          },
+        },
+        "price-desc": {
+          label: "Price: High to Low",
+          compare: function (a, b) {
+            return compareDescending(self._getDisplayPrice(a), self._getDisplayPrice(b));
+          },
+        },
+        distance: {
+          label: "Distance",
+          compare: function (a, b) {
+            return compareAscending(self._getListingDistance(a), self._getListingDistance(b));
+          },
+        },
+        relevance: {
+          label: "Relevance",
+          compare: function (a, b) {
+            // Unscored listings compare as -Infinity; `|| 0` keeps their order stable.
+            return self._getRelevanceScore(b) - self._getRelevanceScore(a) || 0;
+          },
+        },
+      },
+      LISTING_SORTS
+    );
+  };
+
+  /**
+   * Entries are built-in sort names or `{ value, label, compare }`. A known
+   * value without `compare` uses the built-in comparator and label.
+   */
+  ListingsMapWidget.prototype._resolveSortOptions = function (entries) {
+    var builtIns = this._getBuiltInSorts();
+    var resolved = [];
+
+    toArray(entries || DEFAULT_SORT_OPTIONS).forEach(function (entry) {
+      var option = typeof entry === "string" ? { value: entry } : entry;
+      var builtIn = option && Object.prototype.hasOwnProperty.call(builtIns, option.value)
+        ? builtIns[option.value]
+        : null;
+
+      if (!option || typeof option.value !== "string" || (!builtIn && typeof option.compare !== "function")) {
+        console.warn("ListingsMap: ignoring sort option without a built-in value or compare function:", entry);
+        return;
+      }
+
+      resolved.push({
+        value: option.value,
+        label: option.label || (builtIn ? builtIn.label : option.value),
+        compare: typeof option.compare === "function" ? option.compare : builtIn.compare,
+      });
+    });
+
+    if (resolved.length === 0) {
+      resolved.push({ value: "default", label: builtIns.default.label, compare: null });
+    }
+    return resolved;
+  };
+
+  ListingsMapWidget.prototype._getSortOption = function (value) {
+    var i;
+    for (i = 0; i < this._sortOptions.length; i++) {
+      if (this._sortOptions[i].value === value) return this._sortOptions[i];
+    }
+    return null;
+  };
+
+  ListingsMapWidget.prototype._resolveSortOrder = function (value) {
+    return this._getSortOption(value) ? value : this._sortOptions[0].value;
+  };
+
+  ListingsMapWidget.prototype._sortListings = function () {
+    var option = this._getSortOption(this._sortOrder);
+    // A dataSource returns its items already sorted.
+    if (this.config.dataSource) {
+      this.config.listings = this._originalListings.slice();
+      return;
+    }
+    this.config.listings = option && option.compare
+      ? stableSort(this._originalListings, option.compare)
+      : this._originalListings.slice();
+  };
+
+  ListingsMapWidget.prototype._getRelevanceScore = function (listing) {
+    var score = this._relevanceScores[listing.id];
+    return typeof score === "number" && Number.isFinite(score) ? score : -Infinity;
+  };
+
+  // ==========================================
+  // Validation
+  // ==========================================
+  ListingsMapWidget.prototype._validateListings = function (listings) {
+    var self = this;
+    var report;
+    var issues;
+
+    if (!self.config.validate) {
+      return;
+    }
+
+    report = validateListings(listings, self._getSearchConfig());
+    issues = report.errors.concat(report.warnings);
+    if (issues.length === 0) {
+      return;
+    }
+
+    if (typeof self.config.onValidationIssue === "function") {
+      issues.forEach(function (issue) {
+        self.config.onValidationIssue(issue);
+      });
+      return;
+    }
+
+    console.warn("ListingsMap: listing validation found issues:", issues);
+  };
+
+  // ==========================================
+  // Search State
+  // ==========================================
+  // The widget's parsePrice applies to search price filters too, unless the
+  // search config brings its own.
+  ListingsMapWidget.prototype._getSearchConfig = function () {
+    var searchConfig = this.config.searchConfig || {};
+    if (!this.config.parsePrice || searchConfig.parsePrice) {
+      return this.config.searchConfig;
+    }
+    return Object.assign({}, searchConfig, { parsePrice: this.config.parsePrice });
+  };
+
+  /**
+   * Narrow the full dataset to the listings matching the active payload and
+   * keep their relevance scores for the "relevance" sort.
+   */
+  ListingsMapWidget.prototype._applySearchPayload = function () {
+    var self = this;
+    var scores = {};
+    var stayPrices = {};
+    var matched = new Set();
+
+    if (!self._searchPayload) {
+      self._originalListings = self._allListings.slice();
+      self._relevanceScores = {};
+      self._searchStayPrices = {};
+      return;
+    }
+
+    // Built on first search and dropped by setListings, so widgets that never
+    // search don't pay for it.
+    if (!self._searchIndex) {
+      self._searchIndex = createSearchIndex(self._allListings, self._getSearchConfig());
+    }
+
+    self._searchIndex.rank(self._searchPayload).forEach(function (result) {
+      matched.add(result.listing);
+      scores[result.listing.id] = result.score;
+      if (result.stayPrice) stayPrices[result.listing.id] = result.stayPrice;
+    });
+    self._originalListings = self._allListings.filter(function (listing) {
+      return matched.has(listing);
+    });
+    self._relevanceScores = scores;
+    self._searchStayPrices = stayPrices;
+  };
+
+  /**
+   * Quotes from the search payload's dates (shifted per listing for flexible
+   * searches) win; otherwise listings are priced for `setStayDates` dates.
+   */
+  ListingsMapWidget.prototype._updateStayPrices = function () {
+    var self = this;
+    var dates = self._stayDates;
+    self._stayPrices = {};
+    self._originalListings.forEach(function (listing) {
+      var quote = self._searchStayPrices[listing.id] ||
+        (dates ? getListingStayPrice(listing, dates.checkIn, dates.checkOut) : null);
+      if (quote) self._stayPrices[listing.id] = quote;
+    });
+  };
+  /**
+   * "map-center" follows the map (mapOptions.center before it exists) and
+   * "search" uses the active payload's `geo.center`.
+   */
+  ListingsMapWidget.prototype._resolveReferencePoint = function () {
+    var point = this._referencePoint;
+    var center;
+    var pair;
+
+    if (point === "map-center") {
+      center = this.map ? this.map.getCenter() : null;
+      point = center ? [center.lat, center.lng] : this.config.mapOptions.center;
+    } else if (point === "search") {
+      point = this._searchPayload && this._searchPayload.geo ? this._searchPayload.geo.center : null;
+    }
+
+    pair = toLatLngPair(point);
+    return pair && Number.isFinite(pair[0]) && Number.isFinite(pair[1]) ? pair : null;
+  };
+  ListingsMapWidget.prototype._updateDistances = function () {
+    var self = this;
+    var origin = self._resolveReferencePoint();
+    self._distances = {};
+    if (!origin) {
+      return;
+    }
+    self._originalListings.forEach(function (listing) {
+      if (hasCoordinates(listing)) {
+        self._distances[listing.id] = getDistanceKm(origin, [listing.lat, listing.lng]);
+      }
+    });
+  };
+  ListingsMapWidget.prototype._getListingDistance = function (listing) {
+    var distance = this._distances[listing.id];
+    return typeof distance === "number" ? distance : null;
+  };
+  ListingsMapWidget.prototype._refreshDistances = function () {
+    this._updateDistances();
+    if (this._sortOrder === "distance") {
+      this._sortListings();
+      this._clampPaginationState();
+    }
+    this._renderListings();
+  };
+
+  /**
+   * Map moves only re-render for the "distance" sort or custom cards, which
+   * may show `distanceKm` themselves; default cards update their labels.
+   */
+  ListingsMapWidget.prototype._refreshMapCenterDistances = function () {
+    var self = this;
+    var config = self.config;
+
+    if (self._sortOrder === "distance" || config.renderCard || config.renderCardBody) {
+      self._refreshDistances();
+      return;
+    }
+    self._updateDistances();
+    if (!self.listingsGrid) {
+      return;
+    }
+    Array.prototype.forEach.call(self.listingsGrid.querySelectorAll(".lm-card-distance"), function (label) {
+      var card = label.closest("[data-listing-id]");
+      var distance = card ? self.getListingDistance(card.getAttribute("data-listing-id")) : null;
+      if (distance !== null) {
+        label.textContent = formatDistance(distance);
+      }
+    });
+  };
+  ListingsMapWidget.prototype._getStayPrice = function (listing) {
+    return this._stayPrices[listing.id] || null;
+  };
+  ListingsMapWidget.prototype._getDisplayPrice = function (listing) {
+    var display = this._getPriceDisplay(listing);
+    // Native amounts can't be compared with converted ones, so they sort last.
+    if (display.unconverted) return null;
+    return display.stayPrice ? display.stayPrice.total : display.value;
+  };
+
+  /**
+   * Price numbers and format for one listing in the display currency.
+   * Listings whose currency has no rate keep their native amounts and code.
+   */
+  ListingsMapWidget.prototype._getPriceDisplay = function (listing) {
+    var from = getListingCurrency(listing, this._baseCurrency);
+    var to = this._priceFormat.currencyCode;
+    var rate = getConversionRate(this.config.currencyRates, from, to);
+    var stayPrice = this._getStayPrice(listing);
+    var value = getPriceValue(listing, this.config.parsePrice);
+    var format = Object.assign({}, this._priceFormat, { currencyCode: rate === null ? from : to || from });
+
+    if (rate === null || rate === 1) {
+      return { value: value, amount: undefined, stayPrice: stayPrice, format: format, unconverted: rate === null };
+    }
+
+    return {
+      value: value === null ? null : value * rate,
+      // Display strings can't be converted, so converted cards show the number.
+      amount: value === null ? undefined : value * rate,
+      stayPrice: stayPrice
+        ? Object.assign({}, stayPrice, {
+          subtotal: stayPrice.subtotal * rate,
+          discount: stayPrice.discount * rate,
+          cleaningFee: stayPrice.cleaningFee * rate,
+          total: stayPrice.total * rate,
+          nightlyAverage: stayPrice.nightlyAverage * rate,
+        })
+        : null,
+      format: format,
+    };
+  };
+
+  ListingsMapWidget.prototype._refreshSearchResults = function () {
+    if (this.config.dataSource) {
+      this._fetchRemoteListings();
+      return;
+    }
+    this._applySearchPayload();
+    this._updateStayPrices();
+    this._updateDistances();
+    this._sortListings();
+    this._clampPaginationState();
+    this._renderListings();
+    this._syncMarkersToResults();
+    this._emitResultsChange();
+  };
+
+  ListingsMapWidget.prototype._emitResultsChange = function () {
+    if (typeof this.config.onResultsChange === "function") {
+      this.config.onResultsChange({
+        total: this._getResultCount(),
+        payload: this._searchPayload,
       });
-      self.mapToggleBtn.innerHTML = ICONS.mapPin + " <span>Show map</span>";
-      self._updateToggleLabel();
-      self.mapToggleBtn.addEventListener("click", function () {
-        self.toggleMap();
-      });
-      right.appendChild(self.mapToggleBtn);
     }
+  };
 
-    self.toolbar.appendChild(right);
-    if (self.stickyControls) {
-      self.stickyControls.appendChild(self.toolbar);
+  ListingsMapWidget.prototype._applySortOrder = function (value) {
+    this._sortOrder = this._resolveSortOrder(value);
+    this._resetPaginationState();
+    if (this.config.dataSource) {
+      this._fetchRemoteListings();
     } else {
-      self.listingsPanel.appendChild(self.toolbar);
+      this._sortListings();
+      this._renderListings();
     }
+    this._syncSortControl();
+    this._syncUrlState();
   };
 
-  ListingsMapWidget.prototype._renderViewToggle = function (target) {
-    var self = this;
-    self.viewToggle = el("div", "lm-view-toggle-group", {
-      role: "group",
-      "aria-label": "Listing view mode",
-    });
-    self.gridViewBtn = el("button", "lm-view-toggle-btn", {
-      html: ICONS.grid,
-      "aria-label": "Grid view",
-      type: "button",
-    });
-    self.listViewBtn = el("button", "lm-view-toggle-btn", {
-      html: ICONS.list,
-      "aria-label": "List view",
-      type: "button",
-    });
-
-    self.gridViewBtn.addEventListener("click", function () {
-      self.setViewMode("grid");
-    });
-    self.listViewBtn.addEventListener("click", function () {
-      self.setViewMode("list");
-    });
+  ListingsMapWidget.prototype._syncSortControl = function () {
+    if (!this.sortSelect) {
+      return;
+    }
 
-    self.viewToggle.appendChild(self.gridViewBtn);
-    self.viewToggle.appendChild(self.listViewBtn);
-    target.appendChild(self.viewToggle);
-    self._syncViewModeControls();
+    this.sortSelect.value = this._sortOrder;
   };
 
-  ListingsMapWidget.prototype._updateToggleLabel = function () {
-    if (!this.mapToggleBtn) return;
-    var span = this.mapToggleBtn.querySelector("span");
-    if (span) {
-      span.textContent = this._mapVisible ? "Hide map" : "Show map";
+  // ==========================================
+  // Remote Data
+  // ==========================================
+  ListingsMapWidget.prototype._getRemoteQuery = function (append) {
+    var pageSize = this._isFinitePageSize() ? this.config.pageSize : null;
+    var page = pageSize ? this._currentPage : 1;
+
+    if (pageSize && this._isChunkedPaginationMode()) {
+      if (append) {
+        page = Math.floor(this.config.listings.length / pageSize) + 1;
+      } else {
+        // Jumps (goToPage, restored URLs) fetch every chunk up to the page at once.
+        pageSize = pageSize * Math.max(1, this._currentPage);
+        page = 1;
+      }
     }
+    return {
+      page: page,
+      pageSize: pageSize,
+      sort: this._sortOrder,
+      payload: this._searchPayload,
+      bounds: this._getMapBounds(),
+    };
   };
 
-  // ==========================================
-  // Sort Logic
-  // ==========================================
-  ListingsMapWidget.prototype._sortListings = function () {
+  /**
+   * Request listings from `dataSource`. A new request aborts the one in
+   * flight, and responses to superseded requests are dropped even when the
+   * source ignores `query.signal`. `append` adds the next chunk in infinite
+   * and load-more modes instead of replacing the results.
+   */
+  ListingsMapWidget.prototype._fetchRemoteListings = function (append) {
     var self = this;
-    if (self._sortOrder === "default") {
-      self.config.listings = self._originalListings.slice();
-    } else if (self._sortOrder === "price-asc") {
-      self.config.listings = self._originalListings.slice().sort(function (a, b) {
-        return (parseFloat(a.price) || 0) - (parseFloat(b.price) || 0);
-      });
-    } else if (self._sortOrder === "price-desc") {
-      self.config.listings = self._originalListings.slice().sort(function (a, b) {
-        return (parseFloat(b.price) || 0) - (parseFloat(a.price) || 0);
-      });
+    var query = self._getRemoteQuery(append);
+    var requestId = ++self._remoteRequestId;
+
+    if (self._remoteController) {
+      self._remoteController.abort();
     }
+    self._remoteController = typeof AbortController === "function" ? new AbortController() : null;
+    query.signal = self._remoteController ? self._remoteController.signal : null;
+    self._remoteLoading = true;
+    self._showRemoteStatus("loading", append);
+
+    Promise.resolve()
+      .then(function () {
+        return self.config.dataSource(query);
+      })
+      .then(function (response) {
+        if (requestId !== self._remoteRequestId || self._isDestroyed) return;
+        if (!response || !Array.isArray(response.items)) {
+          throw new Error("dataSource must resolve to { items, total }");
+        }
+        self._remoteController = null;
+        self._remoteLoading = false;
+        self._applyRemoteResponse(response, append);
+      })
+      .catch(function (err) {
+        if (requestId !== self._remoteRequestId || self._isDestroyed) return;
+        self._remoteController = null;
+        self._remoteLoading = false;
+        console.error("ListingsMap: dataSource request failed:", err);
+        self._showRemoteStatus("error", append);
+      });
   };
 
-  ListingsMapWidget.prototype._applySortOrder = function (value) {
-    this._sortOrder = value || "default";
-    this._resetPaginationState();
+  ListingsMapWidget.prototype._applyRemoteResponse = function (response, append) {
+    var items = append ? this.config.listings.concat(response.items) : response.items.slice();
+    var total = Number(response.total);
+    var focusIndex;
+
+    this._validateListings(response.items);
+    this._remoteStatus = null;
+    if (this.listingsGrid) {
+      this.listingsGrid.setAttribute("aria-busy", "false");
+    }
+    this._remoteTotal = Number.isFinite(total) && total >= items.length ? total : items.length;
+    this._allListings = items;
+    this._originalListings = items.slice();
+    this.activeListingId = this._resolveListingId(this.activeListingId);
+    this._relevanceScores = {};
+    this._updateStayPrices();
+    this._updateDistances();
     this._sortListings();
+    if (this._isChunkedPaginationMode()) {
+      this._visibleCount = items.length;
+    }
     this._renderListings();
-    this._syncSortControl();
+    // Fit the map to the first results only; later pages keep the viewport.
+    if (this._remoteLoaded) {
+      this._syncMarkersToResults();
+    } else {
+      this._rebuildMarkers();
+    }
+    this._remoteLoaded = true;
+    this._emitResultsChange();
+    if (append) {
+      this._syncUrlState(true);
+    }
+    if (this._loadMoreFocusIndex !== null) {
+      focusIndex = this._loadMoreFocusIndex;
+      this._loadMoreFocusIndex = null;
+      if (append) {
+        this._focusLoadedChunk(focusIndex);
+      }
+    }
   };
 
-  ListingsMapWidget.prototype._syncSortControl = function () {
-    if (!this.sortSelect) {
+  /**
+   * Loading and error placeholders span the grid. Appended chunks keep the
+   * cards already shown and put the placeholder after them.
+   */
+  ListingsMapWidget.prototype._showRemoteStatus = function (state, append) {
+    var self = this;
+    var status;
+    var retry;
+
+    if (!self.listingsGrid) {
       return;
     }
+    if (self._remoteStatus && self._remoteStatus.parentNode) {
+      self._remoteStatus.parentNode.removeChild(self._remoteStatus);
+    }
+    if (!append) {
+      self.listingsGrid.innerHTML = "";
+      self.cards = [];
+      self._virtualListings = null;
+    }
 
-    this.sortSelect.value = this._sortOrder;
+    if (state === "loading") {
+      status = el("div", "lm-remote-status lm-remote-loading", {
+        role: "status",
+        text: "Loading listings…",
+      });
+    } else {
+      status = el("div", "lm-remote-status lm-remote-error", { role: "alert" });
+      status.appendChild(el("div", "lm-remote-error-title", { text: "Couldn't load listings" }));
+      retry = el("button", "lm-remote-retry-btn", { type: "button", text: "Try again" });
+      retry.addEventListener("click", function () {
+        self._fetchRemoteListings(append);
+      });
+      status.appendChild(retry);
+    }
+    self.listingsGrid.setAttribute("aria-busy", state === "loading" ? "true" : "false");
+    self._remoteStatus = status;
+    self.listingsGrid.appendChild(status);
   };
 
   // ==========================================
   // Pagination Helpers
   // ==========================================
   ListingsMapWidget.prototype._resolvePaginationMode = function (value) {
-    return value === "infinite" ? "infinite" : "pages";
+    return value === "infinite" || value === "load-more" ? value : "pages";
   };
 
   ListingsMapWidget.prototype._resolveViewMode = function (value) {
@@ -1062,28 +3409,56 @@ import './bp-listings.scss';
     return this._paginationMode === "infinite";
   };
 
+  // "infinite" and "load-more" both reveal `_visibleCount` listings in chunks.
+  ListingsMapWidget.prototype._isChunkedPaginationMode = function () {
+    return this._paginationMode === "infinite" || this._paginationMode === "load-more";
+  };
+
   ListingsMapWidget.prototype._isFinitePageSize = function () {
     return Boolean(this.config.pageSize && this.config.pageSize > 0);
   };
 
   ListingsMapWidget.prototype._resetPaginationState = function () {
     this._currentPage = 1;
-    if (this._isInfinitePaginationMode() && this._isFinitePageSize()) {
+    if (this._isChunkedPaginationMode() && this._isFinitePageSize()) {
       this._visibleCount = this.config.pageSize;
       return;
     }
     this._visibleCount = 0;
   };
 
-  ListingsMapWidget.prototype._hasMoreInfiniteListings = function () {
-    if (!this._isInfinitePaginationMode() || !this._isFinitePageSize()) {
+  /**
+   * Keep the current page (or infinite chunk) when results change, pulling it
+   * back only when it would point past the new result set.
+   */
+  ListingsMapWidget.prototype._clampPaginationState = function () {
+    var totalPages = this._getTotalPages();
+    if (this._currentPage > totalPages) {
+      this._currentPage = totalPages;
+    }
+    this._syncPaginationStateFromList();
+  };
+
+  // With a dataSource, results beyond the loaded listings are counted by `total`.
+  ListingsMapWidget.prototype._getResultCount = function () {
+    return this.config.dataSource ? this._remoteTotal : this.config.listings.length;
+  };
+
+  ListingsMapWidget.prototype._hasMoreChunkedListings = function () {
+    if (!this._isChunkedPaginationMode() || !this._isFinitePageSize()) {
       return false;
     }
-    return this._visibleCount < this.config.listings.length;
+    return this._visibleCount < this._getResultCount();
   };
 
-  ListingsMapWidget.prototype._loadMoreInfiniteListings = function () {
-    if (!this._hasMoreInfiniteListings()) {
+  ListingsMapWidget.prototype._loadMoreChunkedListings = function () {
+    if (!this._hasMoreChunkedListings()) {
+      return;
+    }
+    if (this.config.dataSource) {
+      if (!this._remoteLoading) {
+        this._fetchRemoteListings(true);
+      }
       return;
     }
 
@@ -1092,6 +3467,7 @@ import './bp-listings.scss';
       this._visibleCount + this.config.pageSize
     );
     this._renderListings();
+    this._syncUrlState(true);
   };
 
   ListingsMapWidget.prototype._updateInfiniteScrollObserver = function () {
@@ -1103,7 +3479,7 @@ import './bp-listings.scss';
       !self._infiniteScrollSentinel ||
       !self._isInfinitePaginationMode() ||
       !self._isFinitePageSize() ||
-      !self._hasMoreInfiniteListings() ||
+      !self._hasMoreChunkedListings() ||
       typeof window.IntersectionObserver !== "function"
     ) {
       return;
@@ -1114,7 +3490,7 @@ import './bp-listings.scss';
       function (entries) {
         entries.forEach(function (entry) {
           if (entry.isIntersecting) {
-            self._loadMoreInfiniteListings();
+            self._loadMoreChunkedListings();
           }
         });
       },
@@ -1139,8 +3515,9 @@ import './bp-listings.scss';
   ListingsMapWidget.prototype._getPagedListings = function () {
     var self = this;
     var all = self.config.listings;
-    if (!self._isFinitePageSize()) return all;
-    if (self._isInfinitePaginationMode()) {
+    // A dataSource only returns the listings that are shown.
+    if (!self._isFinitePageSize() || self.config.dataSource) return all;
+    if (self._isChunkedPaginationMode()) {
       var visibleCount = self._visibleCount > 0 ? self._visibleCount : self.config.pageSize;
       return all.slice(0, visibleCount);
     }
@@ -1151,7 +3528,7 @@ import './bp-listings.scss';
   ListingsMapWidget.prototype._getTotalPages = function () {
     var self = this;
     if (!self._isFinitePageSize()) return 1;
-    return Math.ceil(self.config.listings.length / self.config.pageSize) || 1;
+    return Math.ceil(self._getResultCount() / self.config.pageSize) || 1;
   };
 
   ListingsMapWidget.prototype._renderPagination = function () {
@@ -1163,7 +3540,7 @@ import './bp-listings.scss';
     if (
       !self.config.showPagination ||
       !self._isFinitePageSize() ||
-      self._isInfinitePaginationMode() ||
+      self._isChunkedPaginationMode() ||
       totalPages <= 1
     ) return;
 
@@ -1210,6 +3587,75 @@ import './bp-listings.scss';
     self.paginationContainer.appendChild(next);
   };
 
+  /**
+   * The button stays in the DOM between renders so keyboard focus survives a
+   * click; the status line announces progress to screen readers.
+   */
+  ListingsMapWidget.prototype._renderLoadMoreControls = function () {
+    var self = this;
+    self.loadMoreContainer = el("div", "lm-load-more");
+    self.loadMoreStatus = el("div", "lm-load-more-status", {
+      role: "status",
+      "aria-live": "polite",
+    });
+    self.loadMoreBtn = el("button", "lm-load-more-btn", { type: "button" });
+    self.loadMoreBtn.addEventListener("click", function () {
+      var firstIndex = self._visibleCount;
+      if (self.config.dataSource) {
+        // Focus moves once the remote chunk has been rendered.
+        self._loadMoreFocusIndex = firstIndex;
+        self._loadMoreChunkedListings();
+        return;
+      }
+      self._loadMoreChunkedListings();
+      self._focusLoadedChunk(firstIndex);
+    });
+    self.loadMoreContainer.appendChild(self.loadMoreStatus);
+    self.loadMoreContainer.appendChild(self.loadMoreBtn);
+    self.listingsPanel.appendChild(self.loadMoreContainer);
+  };
+
+  /**
+   * The button hides once everything is shown; move focus to the first newly
+   * revealed card instead of dropping it on the body.
+   */
+  ListingsMapWidget.prototype._focusLoadedChunk = function (firstIndex) {
+    var firstNew = this.config.listings[firstIndex];
+    var cardEl = firstNew && this._getCardElement(firstNew.id);
+    if (!this._hasMoreChunkedListings() && cardEl) {
+      cardEl.setAttribute("tabindex", "-1");
+      cardEl.focus();
+    }
+  };
+
+  ListingsMapWidget.prototype._updateLoadMoreControls = function () {
+    var total = this._getResultCount();
+    var shown;
+    var remaining;
+
+    if (!this.loadMoreContainer) {
+      return;
+    }
+    // showPagination only hides page numbers; without the button the
+    // remaining chunks could never be reached.
+    if (
+      this._paginationMode !== "load-more" ||
+      !this._isFinitePageSize() ||
+      total === 0
+    ) {
+      this.loadMoreContainer.style.display = "none";
+      return;
+    }
+
+    shown = Math.min(this._visibleCount, total);
+    remaining = total - shown;
+    this.loadMoreContainer.style.display = "";
+    this.loadMoreStatus.textContent = "Showing " + shown + " of " + total;
+    this.loadMoreBtn.style.display = remaining > 0 ? "" : "none";
+    this.loadMoreBtn.textContent =
+      "Show " + Math.min(this.config.pageSize, remaining) + " more (" + remaining + " remaining)";
+  };
+
   ListingsMapWidget.prototype._getPageNumbers = function (current, total) {
     if (total <= 7) {
       var arr = [];
@@ -1234,6 +3680,9 @@ import './bp-listings.scss';
     var self = this;
     self.listingsGrid.innerHTML = "";
     self.cards = [];
+    self._virtualListings = null;
+    self._virtualRange = null;
+    self._virtualCards = {};
 
     if (!self.config.listings || self.config.listings.length === 0) {
       var noResults = el("div", "lm-no-results");
@@ -1245,43 +3694,451 @@ import './bp-listings.scss';
       }
       self._teardownInfiniteScrollObserver();
       self._renderPagination();
+      self._updateLoadMoreControls();
+      self._updateResultsSummary();
       return;
     }
 
     var pagedListings = self._getPagedListings();
 
-    pagedListings.forEach(function (listing) {
-      var card = new ListingCard(listing, {
-        currency: self.config.currency,
-        onFavorite: self.config.onFavorite,
-        onListingClick: function (l) {
-          self._highlightListing(l.id);
-          if (self.config.onListingClick) {
-            self.config.onListingClick(l);
-          }
-        },
+    if (self._isVirtualized()) {
+      self._virtualListings = pagedListings;
+      self._virtualTopSpacer = el("div", "lm-virtual-spacer", { "aria-hidden": "true" });
+      self._virtualBottomSpacer = el("div", "lm-virtual-spacer", { "aria-hidden": "true" });
+      self.listingsGrid.appendChild(self._virtualTopSpacer);
+      self.listingsGrid.appendChild(self._virtualBottomSpacer);
+      self._updateVirtualWindow(true);
+    } else {
+      pagedListings.forEach(function (listing) {
+        var card = self._createListingCard(listing);
+        self.cards.push(card);
+        self.listingsGrid.appendChild(card.el);
       });
+    }
+
+    // Pagination
+    self._renderPagination();
+    self._updateLoadMoreControls();
+    self._updateResultsSummary();
+    self._updateDynamicGridColumns();
+    if (self._infiniteScrollSentinel) {
+      self._infiniteScrollSentinel.style.display =
+        self._isInfinitePaginationMode() && self._isFinitePageSize() ? "" : "none";
+    }
+    self._updateInfiniteScrollObserver();
+  };
+
+  ListingsMapWidget.prototype._createListingCard = function (listing) {
+    var self = this;
+    var priceDisplay = self._getPriceDisplay(listing);
+    var card = new ListingCard(listing, {
+      currency: self.config.currency,
+      priceFormat: priceDisplay.format,
+      priceAmount: priceDisplay.amount,
+      stayPrice: priceDisplay.stayPrice,
+      distanceKm: self._getListingDistance(listing),
+      renderCard: self.config.renderCard,
+      renderCardMedia: self.config.renderCardMedia,
+      renderCardBody: self.config.renderCardBody,
+      renderCardFooter: self.config.renderCardFooter,
+      htmlPolicy: self._htmlPolicy,
+      favorited: self._isFavorited(listing),
+      onFavorite: function (l, isFavorited) {
+        // Remembered so re-rendered cards and markers keep the heart state
+        self._favorites[l.id] = isFavorited;
+        self._refreshMarkerStates([l.id]);
+        if (self.config.onFavorite) {
+          self.config.onFavorite(l, isFavorited);
+        }
+      },
+      onListingClick: function (l) {
+        self._selectListing(l.id);
+        if (self.config.onListingClick) {
+          self.config.onListingClick(l);
+        }
+      },
+    });
+
+    // Hover: highlight map marker
+    card.el.addEventListener("mouseenter", function () {
+      self._highlightMarker(listing.id);
+      self._setHoveredListing(listing.id);
+    });
+    card.el.addEventListener("mouseleave", function () {
+      self._unhighlightMarker(listing.id);
+      self._setHoveredListing(null);
+    });
+
+    if (listing.id === self.activeListingId) {
+      card.setActive(true);
+    }
+    return card;
+  };
+
+  ListingsMapWidget.prototype._getCardElement = function (id) {
+    if (!this.listingsGrid) {
+      return null;
+    }
+    // Compared as attributes, since ids may contain quotes a selector can't hold.
+    var cards = this.listingsGrid.querySelectorAll("[data-listing-id]");
+    for (var i = 0; i < cards.length; i++) {
+      if (cards[i].getAttribute("data-listing-id") === String(id)) {
+        return cards[i];
+      }
+    }
+    return null;
+  };
+
+  // ==========================================
+  // Windowed Rendering
+  // ==========================================
+  // Estimated row heights (gap included) until a mounted card can be measured.
+  var VIRTUAL_ROW_ESTIMATES = { grid: 380, list: 200 };
+
+  ListingsMapWidget.prototype._isVirtualized = function () {
+    return Boolean(this.config.virtualize);
+  };
+
+  ListingsMapWidget.prototype._getVirtualColumns = function () {
+    return this._viewMode === "list" ? 1 : this._getTargetGridColumns();
+  };
+
+  ListingsMapWidget.prototype._getVirtualRowHeight = function () {
+    return this._virtualRowHeight || VIRTUAL_ROW_ESTIMATES[this._viewMode] || VIRTUAL_ROW_ESTIMATES.grid;
+  };
+
+  ListingsMapWidget.prototype._getVirtualOverscan = function () {
+    var overscan = Number(this.config.virtualOverscan);
+    return Number.isFinite(overscan) && overscan >= 0 ? Math.floor(overscan) : 2;
+  };
+
+  // Rows per viewport, plus where the viewport starts inside the grid.
+  ListingsMapWidget.prototype._getVirtualViewport = function () {
+    var gridTop = this.listingsGrid.getBoundingClientRect().top;
+    var viewTop = 0;
+    var viewHeight = window.innerHeight;
+    if (!this._stickyMap && this.listingsPanel) {
+      viewTop = this.listingsPanel.getBoundingClientRect().top;
+      viewHeight = this.listingsPanel.clientHeight || viewHeight;
+    }
+    return {
+      offset: Math.max(0, viewTop - gridTop),
+      height: viewHeight,
+    };
+  };
+
+  /**
+   * Mount the rows that intersect the scroll viewport (plus overscan). Does
+   * nothing unless the row range changed, or `force` is set.
+   */
+  ListingsMapWidget.prototype._updateVirtualWindow = function (force) {
+    if (!this._virtualListings || !this.listingsGrid) {
+      return;
+    }
+    var viewport = this._getVirtualViewport();
+    var rowHeight = this._getVirtualRowHeight();
+    var overscan = this._getVirtualOverscan();
+    var firstRow = Math.floor(viewport.offset / rowHeight);
+    var lastRow = Math.ceil((viewport.offset + viewport.height) / rowHeight);
+    this._renderVirtualRows(firstRow - overscan, lastRow + overscan, force);
+  };
+
+  ListingsMapWidget.prototype._renderVirtualRows = function (startRow, endRow, force) {
+    var self = this;
+    var listings = self._virtualListings;
+    var columns = self._getVirtualColumns();
+    var totalRows = Math.ceil(listings.length / columns);
+    var start = Math.max(0, startRow);
+    var end = Math.max(start, Math.min(totalRows, endRow));
+    var range = self._virtualRange;
+    var nextCards = {};
+    var node;
+
+    if (
+      !force &&
+      range &&
+      range.start === start &&
+      range.end === end &&
+      range.columns === columns
+    ) {
+      return;
+    }
+    self._virtualRange = { start: start, end: end, columns: columns };
+    self._virtualColumns = columns;
+
+    // Keep cards that stay in range so their carousels aren't rebuilt.
+    self.cards = listings.slice(start * columns, end * columns).map(function (listing) {
+      var card = self._virtualCards[listing.id] || self._createListingCard(listing);
+      nextCards[listing.id] = card;
+      return card;
+    });
+    Object.keys(self._virtualCards).forEach(function (id) {
+      var card = self._virtualCards[id];
+      if (nextCards[id] !== card && card.el.parentNode) {
+        card.el.parentNode.removeChild(card.el);
+      }
+    });
+    self._virtualCards = nextCards;
+
+    node = self._virtualTopSpacer.nextSibling;
+    self.cards.forEach(function (card) {
+      if (card.el === node) {
+        node = node.nextSibling;
+      } else {
+        self.listingsGrid.insertBefore(card.el, node);
+      }
+    });
+
+    self._measureVirtualRow();
+    self._updateVirtualSpacers(start, totalRows - end);
+  };
+
+  ListingsMapWidget.prototype._measureVirtualRow = function () {
+    var height = this.cards.length ? this.cards[0].el.offsetHeight : 0;
+    var gap;
+    if (height > 0) {
+      gap = parseFloat(window.getComputedStyle(this.listingsGrid).rowGap) || 0;
+      this._virtualRowHeight = height + gap;
+    }
+  };
+
+  // Spacers span the full grid row; the grid gap after each one is part of the
+  // height it stands in for.
+  ListingsMapWidget.prototype._updateVirtualSpacers = function (rowsAbove, rowsBelow) {
+    var rowHeight = this._getVirtualRowHeight();
+    var gap = this._virtualRowHeight
+      ? parseFloat(window.getComputedStyle(this.listingsGrid).rowGap) || 0
+      : 0;
+    var setHeight = function (spacer, rows) {
+      spacer.style.display = rows > 0 ? "" : "none";
+      spacer.style.height = rows > 0 ? Math.max(0, rows * rowHeight - gap) + "px" : "";
+    };
+    setHeight(this._virtualTopSpacer, rowsAbove);
+    setHeight(this._virtualBottomSpacer, rowsBelow);
+  };
+
+  // Column changes (resize, grid/list toggle) move cards between rows.
+  ListingsMapWidget.prototype._syncVirtualColumns = function () {
+    if (this._virtualListings && this._getVirtualColumns() !== this._virtualColumns) {
+      this._virtualRowHeight = null;
+      this._updateVirtualWindow(true);
+    }
+  };
+
+  /**
+   * Mount the rows around a listing that is scrolled out of the window and
+   * return its card element.
+   */
+  ListingsMapWidget.prototype._mountVirtualListing = function (id) {
+    var columns = this._getVirtualColumns();
+    var index = -1;
+    var viewportRows;
+    var row;
+    for (var i = 0; i < this._virtualListings.length; i++) {
+      if (this._virtualListings[i].id === id) { index = i; break; }
+    }
+    if (index < 0) {
+      return null;
+    }
+    row = Math.floor(index / columns);
+    viewportRows = Math.ceil(this._getVirtualViewport().height / this._getVirtualRowHeight());
+    this._renderVirtualRows(
+      row - viewportRows - this._getVirtualOverscan(),
+      row + viewportRows + this._getVirtualOverscan() + 1
+    );
+    return this._getCardElement(id);
+  };
+
+  ListingsMapWidget.prototype._createMarker = function (listing) {
+    var self = this;
+    var L = window.L;
+    var stayPrice = self._getStayPrice(listing);
+    var priceLabel = self._getPriceLabel(listing);
+
+    var icon = L.divIcon({
+      className: "",
+      html: self._getMarkerContent(listing),
+      iconSize: null,
+      iconAnchor: [0, 0],
+    });
+
+    var marker = L.marker([listing.lat, listing.lng], {
+      icon: icon,
+    }).addTo(self.map);
+
+    // Custom popups render when opened, so they see the current price and state.
+    var popupContent = typeof self.config.renderPopup === "function"
+      ? function () {
+        return self._getPopupContent(listing);
+      }
+      : createMapPopupHtml(
+        listing,
+        priceLabel,
+        stayPrice ? formatStayNights(stayPrice.nights) : listing.pricePeriod,
+        self._htmlPolicy
+      );
+
+    marker.bindPopup(popupContent, {
+      closeButton: true,
+      className: "lm-map-popup",
+      maxWidth: 270,
+      offset: [0, -5],
+    });
+
+    self._bindMarkerInteractions(marker, listing);
+
+    // Store reference
+    marker._listingId = listing.id;
+    marker._listing = listing;
+    marker._priceLabel = priceLabel;
+    self._markerCache[listing.id] = marker;
+    return marker;
+  };
+
+  ListingsMapWidget.prototype._isFavorited = function (listing) {
+    return Object.prototype.hasOwnProperty.call(this._favorites, listing.id)
+      ? this._favorites[listing.id]
+      : Boolean(listing.favorited);
+  };
+
+  /**
+   * State passed to `renderMarker`; every flag false is the default state.
+   * `active` is the selected listing and `visited` any listing selected before.
+   */
+  ListingsMapWidget.prototype._getMarkerState = function (listing, priceLabel) {
+    return {
+      hovered: this._hoveredListingId === listing.id,
+      active: this.activeListingId === listing.id,
+      visited: Boolean(this._visitedListings[listing.id]),
+      favorited: this._isFavorited(listing),
+      priceLabel: priceLabel,
+    };
+  };
+
+  ListingsMapWidget.prototype._getMarkerContent = function (listing) {
+    var priceLabel = this._getPriceLabel(listing, this.config.compactMarkerPrices);
+    var content;
+
+    if (typeof this.config.renderMarker === "function") {
+      content = this.config.renderMarker(listing, this._getMarkerState(listing, priceLabel));
+      if (content !== null && content !== undefined && content !== "") {
+        return content;
+      }
+    }
+    return (
+      '<div class="lm-price-marker" data-listing-id="' +
+      escapeHtml(listing.id) +
+      '">' +
+      escapeHtml(priceLabel) +
+      "</div>"
+    );
+  };
+
+  ListingsMapWidget.prototype._getPopupContent = function (listing) {
+    var self = this;
+    var stayPrice = self._getStayPrice(listing);
+    var priceLabel = self._getPriceLabel(listing);
+    var pricePeriod = stayPrice ? formatStayNights(stayPrice.nights) : listing.pricePeriod;
+    var content = self.config.renderPopup(listing, {
+      el: el,
+      priceLabel: priceLabel,
+      pricePeriod: pricePeriod || "",
+      stayPrice: stayPrice,
+      distanceKm: self._getListingDistance(listing),
+      escapeHtml: escapeHtml,
+      badge: function (value) {
+        return createBadgeElement(value === undefined ? listing.badge : value, null, self._htmlPolicy, listing);
+      },
+      rating: function () {
+        return createRatingElement(listing);
+      },
+      price: function () {
+        var display = self._getPriceDisplay(listing);
+        return createPriceElement(
+          listing,
+          self.config.currency,
+          display.stayPrice,
+          display.format,
+          display.amount,
+          self._htmlPolicy
+        );
+      },
+      defaultHtml: function () {
+        return createMapPopupHtml(listing, priceLabel, pricePeriod, self._htmlPolicy);
+      },
+    });
 
-      // Hover: highlight map marker
-      card.el.addEventListener("mouseenter", function () {
-        self._highlightMarker(listing.id);
-      });
-      card.el.addEventListener("mouseleave", function () {
-        self._unhighlightMarker(listing.id);
-      });
+    if (content === null || content === undefined || content === "") {
+      return createMapPopupHtml(listing, priceLabel, pricePeriod, self._htmlPolicy);
+    }
+    return content;
+  };
 
-      self.cards.push(card);
-      self.listingsGrid.appendChild(card.el);
+  // Re-render custom markers for `ids` (every marker when null) after their
+  // state changed; built-in pills only toggle classes.
+  ListingsMapWidget.prototype._refreshMarkerStates = function (ids) {
+    var self = this;
+    if (typeof self.config.renderMarker !== "function") {
+      return;
+    }
+    self.markers.forEach(function (m) {
+      var root = !ids || ids.indexOf(m._listingId) !== -1 ? m.getElement() : null;
+      if (root) {
+        setNodeContent(root, self._getMarkerContent(m._listing));
+      }
     });
+  };
 
-    // Pagination
-    self._renderPagination();
-    self._updateDynamicGridColumns();
-    if (self._infiniteScrollSentinel) {
-      self._infiniteScrollSentinel.style.display =
-        self._isInfinitePaginationMode() && self._isFinitePageSize() ? "" : "none";
+  ListingsMapWidget.prototype._setHoveredListing = function (id) {
+    var previous = this._hoveredListingId;
+    if (previous === id) {
+      return;
     }
-    self._updateInfiniteScrollObserver();
+    this._hoveredListingId = id;
+    this._refreshMarkerStates([previous, id]);
+  };
+
+  ListingsMapWidget.prototype._resolvePriceFormat = function () {
+    var format = { locale: this.config.locale || null, currencyCode: this.config.currencyCode || null };
+    try {
+      formatPrice(0, "", format);
+    } catch (error) {
+      console.warn("ListingsMap: invalid locale or currencyCode, using defaults:", error.message);
+      format = { locale: null, currencyCode: null };
+    }
+    return format;
+  };
+  ListingsMapWidget.prototype._getPriceLabel = function (listing, compact) {
+    var display = this._getPriceDisplay(listing);
+    var value = display.stayPrice ? display.stayPrice.total : display.value;
+    // A string with its own symbol ("€ 12,50") is only parsed for sorting and
+    // filtering; relabelling it with `currency` would change its currency.
+    if (
+      !display.stayPrice &&
+      !display.format.currencyCode &&
+      typeof listing.price === "string" &&
+      !/^\s*[\d.]/.test(listing.price) &&
+      typeof listing.priceValue !== "number" &&
+      typeof this.config.parsePrice !== "function"
+    ) {
+      return listing.price;
+    }
+    // Unparseable strings still show as given rather than as "0".
+    return formatPrice(
+      value !== null ? value : listing.price,
+      this.config.currency || "",
+      Object.assign({}, display.format, { compact: Boolean(compact) })
+    );
+  };
+  ListingsMapWidget.prototype._addResultMarkers = function () {
+    var self = this;
+    self.markers = [];
+    // Use typeof checks (via hasCoordinates) so lat/lng 0 are valid
+    self.config.listings.forEach(function (listing) {
+      if (hasCoordinates(listing)) {
+        self.markers.push(self._createMarker(listing));
+      }
+    });
   };
 
   ListingsMapWidget.prototype._rebuildMarkers = function () {
@@ -1295,59 +4152,60 @@ import './bp-listings.scss';
       self.map.removeLayer(m);
     });
     self.markers = [];
+    self._markerCache = {};
+    // A new dataset is framed from scratch rather than at the restored viewport.
+    self._urlMapView = null;
 
-    // Re-add markers (use typeof so lat/lng 0 are valid), including popups
-    var L = window.L;
-    self.config.listings.forEach(function (listing) {
-      var hasCoords =
-        typeof listing.lat === "number" &&
-        typeof listing.lng === "number" &&
-        !Number.isNaN(listing.lat) &&
-        !Number.isNaN(listing.lng);
-      if (!hasCoords) {
-        return;
-      }
-
-      var priceLabel = formatPrice(
-        listing.price,
-        self.config.currency || ""
-      );
-
-      var icon = L.divIcon({
-        className: "",
-        html:
-          '<div class="lm-price-marker" data-listing-id="' +
-          listing.id +
-          '">' +
-          priceLabel +
-          "</div>",
-        iconSize: null,
-        iconAnchor: [0, 0],
-      });
+    self._addResultMarkers();
 
-      var marker = L.marker([listing.lat, listing.lng], {
-        icon: icon,
-      }).addTo(self.map);
+    if (self.markers.length > 0) {
+      var group = window.L.featureGroup(self.markers);
+      self.map.fitBounds(group.getBounds().pad(0.1));
+    }
+  };
 
-      var popupHtml = createMapPopupHtml(listing, priceLabel);
+  /**
+   * Show markers for the current results and hide the rest without
+   * recreating them or refitting the map, so search changes keep the viewport.
+   */
+  ListingsMapWidget.prototype._syncMarkersToResults = function () {
+    var self = this;
+    var onMap = {};
+    var inResults = {};
 
-      marker.bindPopup(popupHtml, {
-        closeButton: true,
-        className: "lm-map-popup",
-        maxWidth: 270,
-        offset: [0, -5],
-      });
+    if (!self.map) {
+      return;
+    }
 
-      self._bindMarkerInteractions(marker, listing);
+    self.config.listings.forEach(function (listing) {
+      inResults[listing.id] = true;
+    });
+    self.markers.forEach(function (marker) {
+      onMap[marker._listingId] = true;
+      if (!inResults[marker._listingId]) {
+        self.map.removeLayer(marker);
+      }
+    });
 
-      marker._listingId = listing.id;
+    self.markers = [];
+    self.config.listings.forEach(function (listing) {
+      var marker;
+      if (!hasCoordinates(listing)) {
+        return;
+      }
+      marker = self._markerCache[listing.id];
+      // Stay dates changed the price label: rebuild the icon and popup.
+      if (marker && marker._priceLabel !== self._getPriceLabel(listing)) {
+        if (onMap[listing.id]) self.map.removeLayer(marker);
+        marker = null;
+      }
+      if (!marker) {
+        marker = self._createMarker(listing);
+      } else if (!onMap[listing.id]) {
+        marker.addTo(self.map);
+      }
       self.markers.push(marker);
     });
-
-    if (self.markers.length > 0) {
-      var group = L.featureGroup(self.markers);
-      self.map.fitBounds(group.getBounds().pad(0.1));
-    }
   };
 
   ListingsMapWidget.prototype._initMap = function () {
@@ -1367,46 +4225,11 @@ import './bp-listings.scss';
       maxZoom: 19,
     }).addTo(self.map);
 
-    // Price markers (use typeof so lat/lng 0 are valid)
-    self.markers = [];
-    self.config.listings.forEach(function (listing) {
-      var hasCoords =
-        typeof listing.lat === "number" &&
-        typeof listing.lng === "number" &&
-        !Number.isNaN(listing.lat) &&
-        !Number.isNaN(listing.lng);
-      if (hasCoords) {
-        var priceLabel = formatPrice(
-          listing.price,
-          self.config.currency || ""
-        );
-        var icon = L.divIcon({
-          className: "",
-          html: '<div class="lm-price-marker" data-listing-id="' + listing.id + '">' + priceLabel + "</div>",
-          iconSize: null,
-          iconAnchor: [0, 0],
-        });
-
-        var marker = L.marker([listing.lat, listing.lng], { icon: icon }).addTo(
-          self.map
-        );
-
-        var popupHtml = createMapPopupHtml(listing, priceLabel);
-
-        marker.bindPopup(popupHtml, {
-          closeButton: true,
-          className: "lm-map-popup",
-          maxWidth: 270,
-          offset: [0, -5],
-        });
-
-        self._bindMarkerInteractions(marker, listing);
-
-        // Store reference
-        marker._listingId = listing.id;
-        self.markers.push(marker);
-      }
-    });
+    // Price markers
+    self._addResultMarkers();
+    if (self.activeListingId) {
+      self._highlightListing(self.activeListingId);
+    }
 
     self._refreshMapViewport();
 
@@ -1419,19 +4242,32 @@ import './bp-listings.scss';
     }, 350);
 
     // Map move event
-    if (self.config.onMapMoveEnd) {
-      self.map.on("moveend", function () {
-        var bounds = self.map.getBounds();
-        self.config.onMapMoveEnd({
-          north: bounds.getNorth(),
-          south: bounds.getSouth(),
-          east: bounds.getEast(),
-          west: bounds.getWest(),
-          center: [self.map.getCenter().lat, self.map.getCenter().lng],
-          zoom: self.map.getZoom(),
-        });
-      });
+    self.map.on("moveend", function () {
+      if (self._referencePoint === "map-center") {
+        self._refreshMapCenterDistances();
+      }
+      self._syncUrlState(true);
+      if (!self.config.onMapMoveEnd) {
+        return;
+      }
+      self.config.onMapMoveEnd(Object.assign(self._getMapBounds(), {
+        center: [self.map.getCenter().lat, self.map.getCenter().lng],
+        zoom: self.map.getZoom(),
+      }));
+    });
+  };
+
+  ListingsMapWidget.prototype._getMapBounds = function () {
+    if (!this.map) {
+      return null;
     }
+    var bounds = this.map.getBounds();
+    return {
+      north: bounds.getNorth(),
+      south: bounds.getSouth(),
+      east: bounds.getEast(),
+      west: bounds.getWest(),
+    };
   };
 
   ListingsMapWidget.prototype._unhighlightMarker = function (id) {
@@ -1452,6 +4288,16 @@ import './bp-listings.scss';
     });
   };
 
+  // Clicks select a listing; hovering only highlights it.
+  ListingsMapWidget.prototype._selectListing = function (id) {
+    var previous = this.activeListingId;
+    this.activeListingId = id;
+    this._visitedListings[id] = true;
+    this._highlightListing(id);
+    this._refreshMarkerStates([previous, id]);
+    this._syncUrlState();
+  };
+
   ListingsMapWidget.prototype._highlightListing = function (id) {
     this.cards.forEach(function (card) {
       card.setActive(card.listing.id === id);
@@ -1476,16 +4322,18 @@ import './bp-listings.scss';
 
     marker.on("click", function () {
       self._centerAndZoomToMarker(marker);
-      self._highlightListing(listing.id);
       self._scrollToCard(listing.id);
+      self._selectListing(listing.id);
     });
 
     marker.on("mouseover", function () {
       self._focusMarkerOnHover(marker, listing.id);
+      self._setHoveredListing(listing.id);
     });
 
     marker.on("mouseout", function () {
       self._resetMarkerHoverState(marker);
+      self._setHoveredListing(null);
     });
   };
 
@@ -1574,7 +4422,7 @@ import './bp-listings.scss';
   };
 
   ListingsMapWidget.prototype._setInfiniteVisiblePage = function (pageNumber) {
-    var total = this.config.listings.length;
+    var total = this._getResultCount();
     var clampedPage = pageNumber < 1 ? 1 : pageNumber;
     var targetVisibleCount = clampedPage * this.config.pageSize;
     this._visibleCount = Math.min(total, targetVisibleCount);
@@ -1582,13 +4430,13 @@ import './bp-listings.scss';
 
   ListingsMapWidget.prototype._setPage = function (pageNumber) {
     this._currentPage = pageNumber;
-    if (this._isInfinitePaginationMode() && this._isFinitePageSize()) {
+    if (this._isChunkedPaginationMode() && this._isFinitePageSize()) {
       this._setInfiniteVisiblePage(pageNumber);
     }
   };
 
   ListingsMapWidget.prototype._syncPaginationStateFromList = function () {
-    if (!this._isInfinitePaginationMode() || !this._isFinitePageSize()) {
+    if (!this._isChunkedPaginationMode() || !this._isFinitePageSize()) {
       return;
     }
     if (this._visibleCount <= 0) {
@@ -1617,21 +4465,22 @@ import './bp-listings.scss';
   };
 
   ListingsMapWidget.prototype._ensurePaginationState = function () {
-    if (this._isInfinitePaginationMode()) {
+    if (this._isChunkedPaginationMode()) {
       this._syncPaginationStateFromList();
     }
   };
 
   ListingsMapWidget.prototype._scrollToCard = function (id) {
     var self = this;
-    // If pagination is active, ensure target card is rendered first.
-    if (self._isFinitePageSize()) {
+    // If pagination is active, ensure target card is rendered first. Every
+    // listing a dataSource returned is already rendered.
+    if (self._isFinitePageSize() && !self.config.dataSource) {
       var idx = -1;
       for (var i = 0; i < self.config.listings.length; i++) {
         if (self.config.listings[i].id === id) { idx = i; break; }
       }
       if (idx >= 0) {
-        if (self._isInfinitePaginationMode()) {
+        if (self._isChunkedPaginationMode()) {
           var targetVisibleCount =
             Math.ceil((idx + 1) / self.config.pageSize) * self.config.pageSize;
           var nextVisibleCount = Math.min(
@@ -1651,9 +4500,16 @@ import './bp-listings.scss';
         }
       }
     }
-    var target = self.listingsGrid.querySelector(
-      '[data-listing-id="' + id + '"]'
-    );
+    var target = self._getCardElement(id);
+    if (!target && self._virtualListings) {
+      // Jump rather than smooth-scroll: the rows in between get unmounted
+      // while scrolling past them.
+      target = self._mountVirtualListing(id);
+      if (target) {
+        target.scrollIntoView({ block: "center" });
+      }
+      return;
+    }
     if (target) {
       target.scrollIntoView({ behavior: "smooth", block: "center" });
     }
@@ -1696,6 +4552,11 @@ import './bp-listings.scss';
 
     self.map.invalidateSize();
 
+    if (self._urlMapView) {
+      self.map.setView(self._urlMapView.center, self._urlMapView.zoom, { animate: false });
+      return;
+    }
+
     if (self.markers && self.markers.length > 0) {
       var L = window.L;
       var group = L.featureGroup(self.markers);
@@ -1708,21 +4569,366 @@ import './bp-listings.scss';
     });
   };
 
+  // ==========================================
+  // URL State
+  // ==========================================
+  var DEFAULT_URL_STATE_PARAMS = {
+    sort: "sort",
+    page: "page",
+    view: "view",
+    listing: "listing",
+    map: "map",
+    payload: "search",
+  };
+
+  // Param names set to null are left out of the URL entirely.
+  ListingsMapWidget.prototype._resolveUrlState = function (value) {
+    if (!value) {
+      return null;
+    }
+    if (!window.history || typeof window.history.pushState !== "function") {
+      console.warn("ListingsMap: urlState needs the History API and was ignored");
+      return null;
+    }
+    var options = value === true ? {} : value;
+    return {
+      params: Object.assign({}, DEFAULT_URL_STATE_PARAMS, options.params),
+      payload: Boolean(options.payload),
+    };
+  };
+
+  /**
+   * Read widget state from the query string. Missing or malformed params are
+   * left undefined so they fall back to the configured defaults.
+   */
+  ListingsMapWidget.prototype._readUrlState = function () {
+    var params = this._urlState.params;
+    var query = new URLSearchParams(window.location.search);
+    var state = {};
+    var get = function (key) {
+      return params[key] ? query.get(params[key]) : null;
+    };
+    var page = parseInt(get("page"), 10);
+    var map = (get("map") || "").split(",").map(Number);
+    var payload = get("payload");
+
+    if (get("sort")) state.sort = get("sort");
+    if (page > 0) state.page = page;
+    if (get("view")) state.view = get("view");
+    if (get("listing")) state.listing = get("listing");
+    if (map.length === 3 && map.every(Number.isFinite)) {
+      state.map = { center: [map[0], map[1]], zoom: map[2] };
+    }
+    if (this._urlState.payload && payload) {
+      try {
+        state.payload = JSON.parse(payload);
+      } catch (err) {
+        console.warn("ListingsMap: ignoring malformed search payload in the URL");
+      }
+    }
+    return state;
+  };
+
+  // Only sets fields; callers re-render.
+  ListingsMapWidget.prototype._restoreUrlState = function (state) {
+    this._sortOrder = this._resolveSortOrder(state.sort || "default");
+    this._viewMode = this._resolveViewMode(state.view || this._defaultViewMode);
+    this.config.viewMode = this._viewMode;
+    this.activeListingId = this._resolveListingId(state.listing);
+    this._urlMapView = state.map || null;
+    if (this._urlState.payload) {
+      this._searchPayload = state.payload || this.config.searchPayload || null;
+    }
+    this._resetPaginationState();
+    this._setPage(state.page || 1);
+  };
+
+  // URL params are strings; map them back to the listing's own id so numeric
+  // ids still compare with `===`.
+  ListingsMapWidget.prototype._resolveListingId = function (value) {
+    var listing;
+    if (value === null || value === undefined || value === "") {
+      return null;
+    }
+    listing = this._allListings.find(function (item) {
+      return String(item.id) === String(value);
+    });
+    return listing ? listing.id : value;
+  };
+
+  // Back/forward navigation: re-render from the URL without writing it again.
+  ListingsMapWidget.prototype._applyUrlState = function (state) {
+    this._restoringUrlState = true;
+    this._restoreUrlState(state);
+    this._syncSortControl();
+    this._syncViewModeControls();
+    this._refreshSearchResults();
+    this._highlightListing(this.activeListingId);
+    this._refreshMarkerStates(null);
+    if (this.map && this._urlMapView) {
+      this.map.setView(this._urlMapView.center, this._urlMapView.zoom, { animate: false });
+    }
+    this._restoringUrlState = false;
+  };
+
+  ListingsMapWidget.prototype._getUrlPage = function () {
+    if (this._isChunkedPaginationMode() && this._isFinitePageSize()) {
+      return Math.ceil(this._visibleCount / this.config.pageSize) || 1;
+    }
+    return this._currentPage;
+  };
+
+  /**
+   * Write the current state into the query string, keeping unrelated params.
+   * Discrete changes push a history entry; `replace` is used for map moves and
+   * progressive loading so they don't flood the back button.
+   */
+  ListingsMapWidget.prototype._syncUrlState = function (replace) {
+    if (!this._urlState || this._restoringUrlState || this._isDestroyed) {
+      return;
+    }
+
+    var params = this._urlState.params;
+    var query = new URLSearchParams(window.location.search);
+    var page = this._getUrlPage();
+    var values = {
+      sort: this._sortOrder !== this._resolveSortOrder("default") ? this._sortOrder : null,
+      page: page > 1 ? String(page) : null,
+      view: this._viewMode !== this._defaultViewMode ? this._viewMode : null,
+      listing: this.activeListingId != null ? String(this.activeListingId) : null,
+      map: null,
+      payload: null,
+    };
+    var center;
+    var url;
+
+    if (this.map) {
+      center = this.map.getCenter();
+      values.map = [
+        center.lat.toFixed(5),
+        center.lng.toFixed(5),
+        this.map.getZoom(),
+      ].join(",");
+    }
+    if (this._urlState.payload && this._searchPayload) {
+      values.payload = JSON.stringify(this._searchPayload);
+    }
+
+    Object.keys(values).forEach(function (key) {
+      if (!params[key]) return;
+      if (values[key] === null) {
+        query.delete(params[key]);
+      } else {
+        query.set(params[key], values[key]);
+      }
+    });
+
+    url = window.location.pathname + (query.toString() ? "?" + query.toString() : "") + window.location.hash;
+    if (url === window.location.pathname + window.location.search + window.location.hash) {
+      return;
+    }
+    window.history[replace ? "replaceState" : "pushState"](window.history.state, "", url);
+  };
+
   // ==========================================
   // Public API
   // ==========================================
   /**
-   * Update the listings data and re-render
+   * Update the listings data and re-render. Pass `options.scores` (listing id
+   * to relevance score) to feed the "relevance" sort from the last search.
+   * While a search payload is active, `listings` becomes the full dataset the
+   * payload is applied to, and scores come from the built-in matcher.
    */
-  ListingsMapWidget.prototype.setListings = function (listings) {
-    this._originalListings = listings.slice();
+  ListingsMapWidget.prototype.setListings = function (listings, options) {
+    var scores = options && options.scores;
+    this._validateListings(listings);
+    this._allListings = listings.slice();
+    this._searchIndex = null;
+    if (this._searchPayload) {
+      this._applySearchPayload();
+    } else {
+      this._originalListings = listings.slice();
+      this._relevanceScores = scores && typeof scores === "object" ? Object.assign({}, scores) : {};
+    }
+    this._updateStayPrices();
+    this._updateDistances();
     this._resetPaginationState();
-    this.config.listings = listings.slice();
+    this.config.listings = this._originalListings.slice();
     this._sortListings();
     this._ensurePaginationState();
     this._syncSortControl();
     this._renderListings();
     this._rebuildMarkers();
+    this._emitResultsChange();
+    this._syncUrlState(true);
+  };
+
+  /**
+   * Filter the full dataset with the built-in search matcher (configured via
+   * `searchConfig`). Keeps the page position, markers and map viewport.
+   */
+  ListingsMapWidget.prototype.setSearchPayload = function (payload) {
+    if (!payload) {
+      this.clearSearch();
+      return;
+    }
+    this._searchPayload = payload;
+    if (this.config.dataSource) {
+      this._resetPaginationState();
+    }
+    this._refreshSearchResults();
+    this._syncUrlState();
+  };
+
+  /**
+   * Drop the active search payload and show the full dataset again
+   */
+  ListingsMapWidget.prototype.clearSearch = function () {
+    this._searchPayload = null;
+    if (this.config.dataSource) {
+      this._resetPaginationState();
+    }
+    this._refreshSearchResults();
+    this._syncUrlState();
+  };
+
+  /**
+   * Re-run the `dataSource` query from the first page with the current sort,
+   * search and map bounds, e.g. from `onMapMoveEnd` to search as the map moves.
+   */
+  ListingsMapWidget.prototype.reload = function () {
+    if (!this.config.dataSource) {
+      return;
+    }
+    this._resetPaginationState();
+    this._fetchRemoteListings();
+  };
+
+  /**
+   * Return the active search payload, or null when no search is applied
+   */
+  ListingsMapWidget.prototype.getSearchPayload = function () {
+    return this._searchPayload;
+  };
+
+  /**
+   * Switch to any configured sort option and keep the sort select in sync.
+   * Unknown values fall back to the first option.
+   */
+  ListingsMapWidget.prototype.setSortOrder = function (value) {
+    if (this._resolveSortOrder(value) === this._sortOrder) {
+      this._syncSortControl();
+      return;
+    }
+    this._applySortOrder(value);
+  };
+
+  /**
+   * Return the active sort option value
+   */
+  ListingsMapWidget.prototype.getSortOrder = function () {
+    return this._sortOrder;
+  };
+
+  /**
+   * Change how many listings make up a page (or an infinite/load-more chunk)
+   * without re-initializing. The first listing on screen stays in view; 0
+   * shows every listing.
+   */
+  ListingsMapWidget.prototype.setPageSize = function (size) {
+    var next = Math.floor(Number(size));
+    var firstIndex;
+    var shown;
+
+    if (!(next >= 0)) {
+      console.warn("ListingsMap: invalid page size:", size);
+      this._syncPageSizeControl();
+      return;
+    }
+    if (next === this.config.pageSize || (next === 0 && !this._isFinitePageSize())) {
+      this._syncPageSizeControl();
+      return;
+    }
+
+    firstIndex = this._isFinitePageSize() && !this._isChunkedPaginationMode()
+      ? (this._currentPage - 1) * this.config.pageSize
+      : 0;
+    shown = this._visibleCount;
+    this.config.pageSize = next;
+    if (next === 0) {
+      this._resetPaginationState();
+    } else if (this._isChunkedPaginationMode()) {
+      this._resetPaginationState();
+      this._setPage(Math.max(1, Math.ceil(shown / next)));
+    } else {
+      this._setPage(Math.floor(firstIndex / next) + 1);
+    }
+    this._syncPageSizeControl();
+    if (this.config.dataSource) {
+      this._fetchRemoteListings();
+    } else {
+      this._renderListings();
+    }
+    this._syncUrlState(true);
+  };
+
+  /**
+   * Show prices in another ISO 4217 currency, converting listing prices with
+   * `currencyRates`. Cards, popups, markers and price sorts follow.
+   */
+  ListingsMapWidget.prototype.setDisplayCurrency = function (code) {
+    if (!code || !isSupportedCurrency(code)) {
+      console.warn("ListingsMap: unsupported display currency:", code);
+      return;
+    }
+    if (!this._baseCurrency) {
+      console.warn("ListingsMap: setDisplayCurrency needs a currencyCode option to convert from");
+      return;
+    }
+    this._priceFormat = Object.assign({}, this._priceFormat, { currencyCode: code });
+    if (this.currencySelect) {
+      this.currencySelect.value = code;
+    }
+    this._sortListings();
+    this._renderListings();
+    this._syncMarkersToResults();
+  };
+
+  /**
+   * Return the ISO code prices are displayed in, or null for the `currency` symbol
+   */
+  ListingsMapWidget.prototype.getDisplayCurrency = function () {
+    return this._priceFormat.currencyCode;
+  };
+
+  /**
+   * Measure listing distances (and the "distance" sort) from `[lat, lng]`,
+   * `{ lat, lng }`, "map-center" or "search". Pass null to hide distances.
+   */
+  ListingsMapWidget.prototype.setReferencePoint = function (point) {
+    this._referencePoint = point || null;
+    this._refreshDistances();
+  };
+
+  /**
+   * Return a listing's distance in km from the reference point, or null
+   */
+  ListingsMapWidget.prototype.getListingDistance = function (id) {
+    var distance = this._distances[id];
+    return typeof distance === "number" ? distance : null;
+  };
+
+  /**
+   * Price cards, markers and price sorts for `{ checkIn, checkOut }` using
+   * each listing's `searchData.pricing`. Dates on an active search payload
+   * take precedence. Pass null to go back to the static `price`.
+   */
+  ListingsMapWidget.prototype.setStayDates = function (dates) {
+    this._stayDates = normalizeStayDates(dates);
+    this._updateStayPrices();
+    this._sortListings();
+    this._renderListings();
+    this._syncMarkersToResults();
   };
 
   /**
@@ -1736,8 +4942,9 @@ import './bp-listings.scss';
         m.openPopup();
       }
     });
-    self._highlightListing(id);
+    // Scroll first so a card mounted by windowed rendering gets highlighted too.
     self._scrollToCard(id);
+    self._highlightListing(id);
   };
 
   /**
@@ -1778,6 +4985,7 @@ import './bp-listings.scss';
     this.config.viewMode = nextMode;
     this._syncViewModeControls();
     this._updateDynamicGridColumns();
+    this._syncUrlState();
   };
 
   /**
@@ -1789,7 +4997,13 @@ import './bp-listings.scss';
     if (n < 1) n = 1;
     if (n > total) n = total;
     self._setPage(n);
-    self._renderPageAndScroll();
+    if (self.config.dataSource) {
+      self._fetchRemoteListings();
+      self._scrollToListingsTop();
+    } else {
+      self._renderPageAndScroll();
+    }
+    self._syncUrlState();
   };
 
   /**
@@ -1814,6 +5028,14 @@ import './bp-listings.scss';
       this.sortSelect.removeEventListener("change", this._nativeSortChangeHandler);
       this._nativeSortChangeHandler = null;
     }
+    if (this.currencySelect && this._currencyChangeHandler) {
+      this.currencySelect.removeEventListener("change", this._currencyChangeHandler);
+      this._currencyChangeHandler = null;
+    }
+    if (this.pageSizeSelect && this._pageSizeChangeHandler) {
+      this.pageSizeSelect.removeEventListener("change", this._pageSizeChangeHandler);
+      this._pageSizeChangeHandler = null;
+    }
     if (this._scrollListenerTarget && this._listingsScrollHandler) {
       this._scrollListenerTarget.removeEventListener("scroll", this._listingsScrollHandler);
       this._listingsScrollHandler = null;
@@ -1823,7 +5045,15 @@ import './bp-listings.scss';
       window.removeEventListener("resize", this._windowResizeHandler);
       this._windowResizeHandler = null;
     }
+    if (this._popStateHandler) {
+      window.removeEventListener("popstate", this._popStateHandler);
+      this._popStateHandler = null;
+    }
     this._teardownInfiniteScrollObserver();
+    if (this._remoteController) {
+      this._remoteController.abort();
+      this._remoteController = null;
+    }
     if (this.container) {
       this._restoreContainerLayoutMode();
       this.container.innerHTML = "";
@@ -1833,11 +5063,21 @@ import './bp-listings.scss';
     this.listingsPanelShell = null;
     this.stickyControls = null;
     this.sortSelect = null;
+    this.currencySelect = null;
+    this.pageSizeSelect = null;
+    this.resultsSummary = null;
     this.backToTopBtn = null;
     this.gridViewBtn = null;
     this.listViewBtn = null;
     this.viewToggle = null;
+    this.loadMoreContainer = null;
+    this.loadMoreStatus = null;
+    this.loadMoreBtn = null;
     this._infiniteScrollSentinel = null;
+    this._virtualListings = null;
+    this._virtualCards = {};
+    this._virtualTopSpacer = null;
+    this._virtualBottomSpacer = null;
   };
 
 
@@ -1859,6 +5099,30 @@ import './bp-listings.scss';
 
     filterListingsBySearchData: filterListingsBySearchData,
 
+    rankListingsBySearchData: rankListingsBySearchData,
+
+    computeFacets: computeFacets,
+
+    createSearchIndex: createSearchIndex,
+
+    createSearchWorker: createSearchWorker,
+
+    validateListings: validateListings,
+
+    escapeHtml: escapeHtml,
+
+    handleSearchWorkerMessages: handleSearchWorkerMessages,
+
+    registerMatchType: registerMatchType,
+
+    unregisterMatchType: unregisterMatchType,
+
+    findAvailabilityWindow: findAvailabilityWindow,
+
+    calculateStayPrice: calculateStayPrice,
+
+    getDistanceKm: getDistanceKm,
+
     /** Version */
     version: "1.0.3",
   };
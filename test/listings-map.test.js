@@ -33,7 +33,9 @@ function buildLeafletStub(window) {
           this.removed = true;
         },
         setView(latlng, zoom) {
-          this.center = { lat: latlng.lat, lng: latlng.lng };
+          this.center = Array.isArray(latlng)
+            ? { lat: latlng[0], lng: latlng[1] }
+            : { lat: latlng.lat, lng: latlng.lng };
           this.zoom = zoom;
         },
         getZoom() {
@@ -93,7 +95,11 @@ function buildLeafletStub(window) {
         addTo(map) {
           this.map = map;
           const element = window.document.createElement('div');
-          element.innerHTML = options.icon.html;
+          if (typeof options.icon.html === 'string') {
+            element.innerHTML = options.icon.html;
+          } else {
+            element.appendChild(options.icon.html);
+          }
           this.element = element;
           return this;
         },
@@ -138,10 +144,10 @@ function buildLeafletStub(window) {
   return { L, mapInstances };
 }
 
-function createEnvironment() {
+function createEnvironment(url = 'http://localhost/') {
   const dom = new JSDOM('<!DOCTYPE html><html><body><div id="widget"></div></body></html>', {
     runScripts: 'outside-only',
-    url: 'http://localhost/',
+    url,
   });
   const { window } = dom;
   const { L, mapInstances } = buildLeafletStub(window);
@@ -548,6 +554,504 @@ describe('bp-listings UMD runtime', () => {
     expect(getRenderedTitles(container)).toHaveLength(13);
   });
 
+  it('reveals chunks behind a load-more button and keeps keyboard focus', () => {
+    const { ListingsMap, window, observers } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const widget = ListingsMap.init({
+      container,
+      listings: buildManyListings(13),
+      pageSize: 5,
+      paginationMode: 'load-more',
+    });
+    const button = container.querySelector('.lm-load-more-btn');
+
+    expect(widget.config.paginationMode).toBe('load-more');
+    expect(observers).toHaveLength(0);
+    expect(container.querySelector('.lm-pagination').innerHTML).toBe('');
+    expect(getRenderedTitles(container)).toHaveLength(5);
+    expect(button.textContent).toBe('Show 5 more (8 remaining)');
+    expect(container.querySelector('.lm-load-more-status').textContent).toBe('Showing 5 of 13');
+
+    button.focus();
+    button.click();
+    expect(getRenderedTitles(container)).toHaveLength(10);
+    expect(button.textContent).toBe('Show 3 more (3 remaining)');
+    expect(window.document.activeElement).toBe(button);
+
+    button.click();
+    expect(getRenderedTitles(container)).toHaveLength(13);
+    expect(button.style.display).toBe('none');
+    expect(window.document.activeElement).toBe(container.querySelectorAll('.lm-card')[10]);
+
+    widget.setListings(buildManyListings(13));
+    expect(getRenderedTitles(container)).toHaveLength(5);
+    widget.goToPage(2);
+    expect(getRenderedTitles(container)).toHaveLength(10);
+    expect(button.textContent).toBe('Show 3 more (3 remaining)');
+
+    const withoutPagination = window.document.createElement('div');
+    ListingsMap.init({
+      container: withoutPagination,
+      listings: buildManyListings(13),
+      pageSize: 5,
+      paginationMode: 'load-more',
+      showPagination: false,
+    });
+    expect(withoutPagination.querySelector('.lm-load-more').style.display).toBe('');
+    withoutPagination.querySelector('.lm-load-more-btn').click();
+    expect(withoutPagination.querySelectorAll('.lm-card')).toHaveLength(10);
+  });
+
+  it('restores and mirrors sort, page, view, selection and map in the URL', () => {
+    const { ListingsMap, window, mapInstances } = createEnvironment(
+      'http://localhost/stays?ref=abc&sort=price-desc&p=2&view=list&listing=listing-7&map=14.6,121.1,13'
+    );
+    const container = window.document.querySelector('#widget');
+    const widget = ListingsMap.init({
+      container,
+      listings: buildManyListings(13),
+      pageSize: 5,
+      urlState: { params: { page: 'p' } },
+    });
+    const query = () => new window.URLSearchParams(window.location.search);
+
+    expect(widget.getSortOrder()).toBe('price-desc');
+    expect(widget.config.viewMode).toBe('list');
+    expect(getRenderedTitles(container)[0]).toBe('Listing 8');
+    expect(container.querySelector('.lm-card-active').getAttribute('data-listing-id')).toBe('listing-7');
+    expect(mapInstances[0].center).toEqual({ lat: 14.6, lng: 121.1 });
+    expect(mapInstances[0].zoom).toBe(13);
+
+    const historyLength = window.history.length;
+    widget.setSortOrder('price-asc');
+    expect(query().get('sort')).toBe('price-asc');
+    expect(query().get('p')).toBeNull();
+    expect(query().get('ref')).toBe('abc');
+    expect(query().get('map')).toBe('14.60000,121.10000,13');
+    expect(window.history.length).toBe(historyLength + 1);
+
+    widget.goToPage(3);
+    widget.setViewMode('grid');
+    expect(query().get('p')).toBe('3');
+    expect(query().get('view')).toBeNull();
+
+    container.querySelectorAll('.lm-card')[1].click();
+    expect(query().get('listing')).toBe('listing-12');
+
+    window.history.pushState(null, '', '/stays?sort=price-desc&view=list&listing=listing-13');
+    const restoredLength = window.history.length;
+    window.dispatchEvent(new window.PopStateEvent('popstate'));
+    expect(widget.getSortOrder()).toBe('price-desc');
+    expect(widget.sortSelect.value).toBe('price-desc');
+    expect(widget.config.viewMode).toBe('list');
+    expect(getRenderedTitles(container)[0]).toBe('Listing 13');
+    expect(container.querySelector('.lm-card-active').getAttribute('data-listing-id')).toBe('listing-13');
+    expect(window.history.length).toBe(restoredLength);
+
+    widget.destroy();
+    window.dispatchEvent(new window.PopStateEvent('popstate'));
+  });
+
+  it('restores numeric listing ids from the URL', () => {
+    const { ListingsMap, window } = createEnvironment('http://localhost/stays?listing=2');
+    const container = window.document.querySelector('#widget');
+    const widget = ListingsMap.init({
+      container,
+      listings: buildListings().map((listing, index) => ({ ...listing, id: index + 1 })),
+      urlState: true,
+    });
+
+    expect(widget.activeListingId).toBe(2);
+    expect(container.querySelector('.lm-card-active').getAttribute('data-listing-id')).toBe('2');
+
+    window.history.pushState(null, '', '/stays?listing=4');
+    window.dispatchEvent(new window.PopStateEvent('popstate'));
+    expect(widget.activeListingId).toBe(4);
+    expect(container.querySelector('.lm-card-active').getAttribute('data-listing-id')).toBe('4');
+  });
+
+  it('mounts only the cards near the viewport when virtualize is on', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const widget = ListingsMap.init({
+      container,
+      listings: buildManyListings(200),
+      pageSize: 0,
+      virtualize: true,
+    });
+    const spacers = () => container.querySelectorAll('.lm-virtual-spacer');
+
+    expect(getRenderedTitles(container)).toHaveLength(20);
+    expect(getRenderedTitles(container)[0]).toBe('Listing 1');
+    expect(spacers()[0].style.display).toBe('none');
+    expect(spacers()[1].style.height).toBe('17100px');
+
+    widget.panToListing('listing-150');
+    const active = container.querySelector('.lm-card-active');
+    expect(active.getAttribute('data-listing-id')).toBe('listing-150');
+    expect(getRenderedTitles(container)).toHaveLength(44);
+    expect(getRenderedTitles(container)[0]).toBe('Listing 129');
+    expect(spacers()[0].style.height).toBe('12160px');
+
+    widget.setViewMode('list');
+    expect(getRenderedTitles(container)).toHaveLength(6);
+    expect(spacers()[1].style.height).toBe(`${194 * 200}px`);
+  });
+
+  it('loads pages from a dataSource with loading, error and retry states', async () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const listings = buildListings();
+    const requests = [];
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    const dataSource = (query) => new Promise((resolve, reject) => {
+      requests.push({ query, resolve, reject });
+    });
+    const widget = ListingsMap.init({ container, dataSource, pageSize: 2 });
+
+    await flush();
+    expect(requests).toHaveLength(1);
+    expect(requests[0].query).toMatchObject({
+      page: 1,
+      pageSize: 2,
+      sort: 'default',
+      payload: null,
+      bounds: { north: 1, south: -1, east: 1, west: -1 },
+    });
+    expect(container.querySelector('.lm-remote-loading')).not.toBeNull();
+    expect(widget.listingsGrid.getAttribute('aria-busy')).toBe('true');
+
+    requests[0].resolve({ items: listings.slice(0, 2), total: 4 });
+    await flush();
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa', 'Garden Cabin']);
+    expect(container.querySelector('[aria-label="Page 2"]')).not.toBeNull();
+
+    widget.goToPage(2);
+    widget.setSortOrder('price-asc');
+    await flush();
+    expect(requests[1].query).toMatchObject({ page: 2, sort: 'default' });
+    expect(requests[1].query.signal.aborted).toBe(true);
+    expect(requests[2].query).toMatchObject({ page: 1, sort: 'price-asc' });
+
+    requests[1].resolve({ items: listings.slice(2), total: 4 });
+    requests[2].reject(new Error('offline'));
+    await flush();
+    expect(getRenderedTitles(container)).toEqual([]);
+    const retry = container.querySelector('.lm-remote-error .lm-remote-retry-btn');
+    expect(retry).not.toBeNull();
+
+    retry.click();
+    await flush();
+    expect(requests[3].query).toMatchObject({ page: 1, sort: 'price-asc' });
+    requests[3].resolve({ items: [listings[1], listings[2]], total: 4 });
+    await flush();
+    expect(getRenderedTitles(container)).toEqual(['Garden Cabin', 'City Loft']);
+  });
+
+  it('appends dataSource chunks in load-more mode using total', async () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const listings = buildManyListings(5);
+    const queries = [];
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    const widget = ListingsMap.init({
+      container,
+      pageSize: 2,
+      paginationMode: 'load-more',
+      dataSource: (query) => {
+        queries.push(query);
+        const start = (query.page - 1) * query.pageSize;
+        return Promise.resolve({ items: listings.slice(start, start + query.pageSize), total: 5 });
+      },
+    });
+
+    await flush();
+    const button = container.querySelector('.lm-load-more-btn');
+    expect(button.textContent).toBe('Show 2 more (3 remaining)');
+
+    button.click();
+    await flush();
+    expect(queries[1]).toMatchObject({ page: 2, pageSize: 2 });
+    expect(getRenderedTitles(container)).toHaveLength(4);
+
+    widget.goToPage(3);
+    await flush();
+    expect(queries[2]).toMatchObject({ page: 1, pageSize: 6 });
+    expect(getRenderedTitles(container)).toHaveLength(5);
+    expect(button.style.display).toBe('none');
+
+    const other = window.document.createElement('div');
+    window.document.body.appendChild(other);
+    ListingsMap.init({
+      container: other,
+      pageSize: 3,
+      paginationMode: 'load-more',
+      dataSource: (query) => {
+        const start = (query.page - 1) * query.pageSize;
+        return Promise.resolve({ items: listings.slice(start, start + query.pageSize), total: 5 });
+      },
+    });
+    await flush();
+    const lastChunkButton = other.querySelector('.lm-load-more-btn');
+    lastChunkButton.focus();
+    lastChunkButton.click();
+    await flush();
+    expect(lastChunkButton.style.display).toBe('none');
+    expect(window.document.activeElement).toBe(other.querySelectorAll('.lm-card')[3]);
+  });
+
+  it('shows a results summary and changes pageSize from the toolbar', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const widget = ListingsMap.init({
+      container,
+      listings: buildManyListings(30),
+      pageSize: 12,
+      resultsSummary: true,
+      pageSizeOptions: [24, 48],
+    });
+    const summary = () => container.querySelector('.lm-results-summary').textContent;
+    const select = container.querySelector('.lm-page-size-select');
+
+    expect(Array.from(select.options).map((option) => option.value)).toEqual(['12', '24', '48']);
+    expect(summary()).toBe('Showing 1–12 of 30 stays');
+
+    widget.goToPage(3);
+    expect(summary()).toBe('Showing 25–30 of 30 stays');
+
+    select.value = '24';
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(widget.config.pageSize).toBe(24);
+    expect(getRenderedTitles(container)[0]).toBe('Listing 25');
+    expect(summary()).toBe('Showing 25–30 of 30 stays');
+
+    setSort(widget, window, 'price-desc');
+    expect(summary()).toBe('Showing 1–24 of 30 stays');
+
+    widget.setListings(buildManyListings(5));
+    expect(summary()).toBe('5 stays');
+
+    widget.setPageSize(-1);
+    expect(widget.config.pageSize).toBe(24);
+    expect(select.value).toBe('24');
+
+    const unpaged = window.document.createElement('div');
+    ListingsMap.init({
+      container: unpaged,
+      listings: buildManyListings(30),
+      pageSize: 0,
+      pageSizeOptions: [12, 24],
+    });
+    const unpagedSelect = unpaged.querySelector('.lm-page-size-select');
+    expect(Array.from(unpagedSelect.options).map((option) => [option.value, option.textContent])).toEqual([
+      ['12', '12 per page'],
+      ['24', '24 per page'],
+      ['0', 'All'],
+    ]);
+    expect(unpagedSelect.value).toBe('0');
+    expect(unpaged.querySelectorAll('.lm-card')).toHaveLength(30);
+
+    unpagedSelect.value = '12';
+    unpagedSelect.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(unpaged.querySelectorAll('.lm-card')).toHaveLength(12);
+    unpagedSelect.value = '0';
+    unpagedSelect.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(unpaged.querySelectorAll('.lm-card')).toHaveLength(30);
+    expect(unpagedSelect.value).toBe('0');
+  });
+
+  it('counts revealed chunks in the summary in infinite mode', () => {
+    const { ListingsMap, window, observers } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const widget = ListingsMap.init({
+      container,
+      listings: buildManyListings(13),
+      pageSize: 5,
+      paginationMode: 'infinite',
+      resultsSummary: ({ start, end, total }) => `${start}-${end} / ${total} in map area`,
+    });
+    const summary = () => container.querySelector('.lm-results-summary').textContent;
+
+    expect(summary()).toBe('1-5 / 13 in map area');
+    observers[0].trigger(true);
+    expect(summary()).toBe('1-10 / 13 in map area');
+
+    widget.setPageSize(4);
+    expect(getRenderedTitles(container)).toHaveLength(12);
+    expect(summary()).toBe('1-12 / 13 in map area');
+  });
+
+  it('renders custom cards with helpers and keeps the card wiring', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const clicked = [];
+    const widget = ListingsMap.init({
+      container,
+      listings: buildListings(),
+      renderCard: (listing, helpers) => {
+        const root = helpers.el('div', 'my-card');
+        root.appendChild(helpers.carousel());
+        root.appendChild(helpers.el('h3', 'my-title', { text: listing.title }));
+        const rating = helpers.rating();
+        if (rating) root.appendChild(rating);
+        root.appendChild(helpers.price());
+        root.appendChild(helpers.el('button', 'my-book', { text: 'Book now' }));
+        return root;
+      },
+      onListingClick: (listing) => clicked.push(listing.id),
+    });
+
+    const card = container.querySelector('.lm-card[data-listing-id="listing-2"]');
+    expect(card.classList.contains('lm-card-custom')).toBe(true);
+    expect(card.querySelector('.my-title').textContent).toBe('Garden Cabin');
+    expect(card.querySelector('.lm-carousel')).not.toBeNull();
+    expect(card.querySelector('.lm-card-rating').textContent).toContain('4.82');
+    expect(card.querySelector('.lm-card-price-value').textContent).toBe('$180');
+
+    card.querySelector('.my-book').click();
+    expect(clicked).toEqual(['listing-2']);
+    expect(card.classList.contains('lm-card-active')).toBe(true);
+
+    card.dispatchEvent(new window.Event('mouseenter'));
+    const marker = widget.markers.find((m) => m._listingId === 'listing-2');
+    expect(marker.getElement().querySelector('.lm-price-marker').classList.contains('lm-price-marker-active')).toBe(true);
+  });
+
+  it('replaces card sections through slot hooks', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const warn = window.console.warn;
+    const warnings = [];
+    window.console.warn = (...args) => warnings.push(args);
+    ListingsMap.init({
+      container,
+      listings: buildListings().slice(0, 2),
+      renderCardMedia: (listing, helpers) => {
+        if (listing.id === 'listing-2') return '<img>';
+        const media = helpers.el('div', 'my-media');
+        media.appendChild(helpers.favoriteButton());
+        return media;
+      },
+      renderCardFooter: (listing, helpers) => helpers.el('div', 'my-footer', { text: `Host of ${listing.title}` }),
+    });
+    window.console.warn = warn;
+
+    const [first, second] = container.querySelectorAll('.lm-card');
+    expect(first.firstChild.className).toBe('my-media');
+    expect(first.querySelector('.lm-heart-btn')).not.toBeNull();
+    expect(first.querySelector('.lm-card-title').textContent).toBe('Ocean Villa');
+    expect(first.lastChild.textContent).toBe('Host of Ocean Villa');
+    expect(second.querySelector('.lm-carousel .lm-heart-btn')).not.toBeNull();
+    expect(warnings).toHaveLength(1);
+  });
+
+  it('renders custom markers from their state and custom popups on open', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const widget = ListingsMap.init({
+      container,
+      listings: buildListings(),
+      renderMarker: (listing, state) => {
+        const pin = window.document.createElement('div');
+        const flags = ['hovered', 'active', 'visited', 'favorited'].filter((flag) => state[flag]);
+        pin.className = ['my-pin'].concat(flags.map((flag) => `is-${flag}`)).join(' ');
+        pin.textContent = listing.id === 'listing-3' ? 'NEW' : state.priceLabel;
+        return pin;
+      },
+      renderPopup: (listing, helpers) => (listing.id === 'listing-4'
+        ? null
+        : `<div class="my-popup">${helpers.priceLabel} <button>Book</button></div>`),
+    });
+    const marker = (id) => widget.markers.find((m) => m._listingId === id);
+    const pin = (id) => marker(id).getElement().querySelector('.my-pin');
+
+    expect(pin('listing-1').className).toBe('my-pin');
+    expect(pin('listing-1').textContent).toBe('$320');
+    expect(pin('listing-3').textContent).toBe('NEW');
+
+    marker('listing-1').listeners.mouseover();
+    expect(pin('listing-1').className).toBe('my-pin is-hovered');
+    marker('listing-1').listeners.mouseout();
+    marker('listing-1').listeners.click();
+    expect(pin('listing-1').className).toBe('my-pin is-active is-visited');
+    marker('listing-2').listeners.click();
+    expect(pin('listing-1').className).toBe('my-pin is-visited');
+    expect(pin('listing-2').className).toBe('my-pin is-active is-visited');
+
+    container.querySelector('.lm-card[data-listing-id="listing-4"] .lm-heart-btn').click();
+    expect(pin('listing-4').className).toBe('my-pin is-favorited');
+
+    expect(marker('listing-1').popupHtml()).toBe('<div class="my-popup">$320 <button>Book</button></div>');
+    expect(marker('listing-4').popupHtml()).toContain('lm-popup-title');
+  });
+
+  it('escapes listing content in cards, popups and markers by default', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const widget = ListingsMap.init({
+      container,
+      listings: [{
+        ...buildListings()[0],
+        id: 'a"b',
+        title: '<img src=x onerror="alert(1)">',
+        badge: '<b>Superhost</b>',
+        rating: '4.9<script>',
+        details: '<em>3 beds</em>',
+        price: '<i>Ask us</i>',
+        pricePeriod: 'night<svg onload=alert(1)>',
+        images: ['x.jpg" onerror="alert(1)'],
+      }],
+    });
+    const card = container.querySelector('.lm-card');
+    const marker = widget.markers[0];
+
+    expect(card.querySelector('.lm-card-title').textContent).toBe('<img src=x onerror="alert(1)">');
+    expect(card.querySelectorAll('img[onerror], script, svg[onload], b, i, em')).toHaveLength(0);
+    expect(card.querySelector('.lm-badge').textContent).toBe('<b>Superhost</b>');
+    expect(card.querySelector('.lm-card-price-period').textContent).toBe('night<svg onload=alert(1)>');
+    expect(marker.getElement().querySelectorAll('i')).toHaveLength(0);
+    expect(marker.getElement().textContent).toBe('<i>Ask us</i>');
+    expect(card.querySelector('.lm-card-price-value').textContent).toBe('<i>Ask us</i>');
+
+    const popup = window.document.createElement('div');
+    popup.innerHTML = marker.popupHtml;
+    expect(popup.querySelectorAll('[onerror], script, svg[onload], em, i')).toHaveLength(0);
+    expect(popup.querySelector('.lm-popup-img').getAttribute('src')).toBe('x.jpg" onerror="alert(1)');
+    expect(popup.querySelector('.lm-popup-title').textContent).toBe('<img src=x onerror="alert(1)">');
+    expect(ListingsMap.escapeHtml('<a href="x">')).toBe('&lt;a href=&quot;x&quot;&gt;');
+
+    expect(() => marker.listeners.click()).not.toThrow();
+    expect(card.classList.contains('lm-card-active')).toBe(true);
+  });
+
+  it('renders allowHtmlFields as HTML through sanitizeHtml', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const sanitized = [];
+    const widget = ListingsMap.init({
+      container,
+      listings: [{
+        ...buildListings()[0],
+        title: '<em>Ocean</em> Villa',
+        details: '<em>3 bedrooms</em><script>alert(1)</script>',
+      }],
+      allowHtmlFields: ['details'],
+      sanitizeHtml: (html, field, listing) => {
+        sanitized.push([field, listing.id]);
+        return html.replace(/<script[\s\S]*?<\/script>/g, '');
+      },
+    });
+    const card = container.querySelector('.lm-card');
+    const popup = window.document.createElement('div');
+    popup.innerHTML = widget.markers[0].popupHtml;
+
+    expect(card.querySelector('.lm-card-details').innerHTML).toBe('<em>3 bedrooms</em>');
+    expect(card.querySelector('.lm-card-title em')).toBeNull();
+    expect(popup.querySelector('.lm-popup-details').innerHTML).toBe('<em>3 bedrooms</em>');
+    expect(popup.querySelector('.lm-popup-title em')).toBeNull();
+    expect(sanitized).toContainEqual(['details', 'listing-1']);
+  });
+
   it('disables pagination when pageSize is explicitly 0', () => {
     const { ListingsMap, window } = createEnvironment();
     const container = window.document.querySelector('#widget');
@@ -1000,6 +1504,944 @@ describe('bp-listings UMD runtime', () => {
     expect(results.map((listing) => listing.id)).toEqual(['villa']);
   });
 
+  it('matches range filters with open-ended and exclusive bounds', () => {
+    const { ListingsMap } = createEnvironment();
+    const listings = [
+      { id: 'budget', price: 120, searchData: { filters: { 'bp-sqm': 40 } } },
+      { id: 'mid', price: 250, searchData: { filters: { 'bp-sqm': 75 } } },
+      { id: 'luxury', price: 900, searchData: { filters: { 'bp-sqm': 210 } } },
+      { id: 'unknown', price: 'on request', searchData: {} },
+    ];
+    const config = {
+      filters: [
+        { key: 'price', type: 'range' },
+        { key: 'bp-sqm', type: 'range', maxExclusive: true },
+      ],
+    };
+    const ids = (payload) =>
+      ListingsMap.filterListingsBySearchData(listings, payload, config).map((listing) => listing.id);
+
+    expect(ids({ filters: { price: { min: 120, max: 250 } } })).toEqual(['budget', 'mid']);
+    expect(ids({ filters: { price: { min: 200 } } })).toEqual(['mid', 'luxury']);
+    expect(ids({ filters: { price: { max: 250, minExclusive: true, min: 120 } } })).toEqual(['mid']);
+    expect(ids({ filters: { 'bp-sqm': { min: 40, max: 75 } } })).toEqual(['budget']);
+    expect(ids({ filters: { price: {} } })).toEqual(['budget', 'mid', 'luxury', 'unknown']);
+  });
+
+  it('applies stay rules, blocked nights, and back-to-back availability ranges', () => {
+    const { ListingsMap } = createEnvironment();
+    const availability = {
+      ranges: [
+        { start: '2030-04-01', end: '2030-04-10' },
+        { start: '2030-04-10', end: '2030-04-20', minNights: 3 },
+      ],
+      minNights: 2,
+      maxNights: 7,
+      checkInDays: [5, 6],
+      blocked: ['2030-04-16', { start: '2030-04-18', end: '2030-04-20' }],
+    };
+    const find = (checkIn, checkOut, flexibleDays) =>
+      ListingsMap.findAvailabilityWindow(availability, { checkIn, checkOut, flexibleDays });
+
+    // 2030-04-05 is a Friday; the stay spans both ranges.
+    expect(find('2030-04-05', '2030-04-12')).toEqual({
+      checkIn: '2030-04-05',
+      checkOut: '2030-04-12',
+      nights: 7,
+      offset: 0,
+    });
+    expect(find('2030-04-05', '2030-04-06')).toBeNull();
+    expect(find('2030-04-05', '2030-04-13')).toBeNull();
+    expect(find('2030-04-04', '2030-04-06')).toBeNull();
+    // Friday 04-12 falls in the 3-night range; 04-16 is blocked.
+    expect(find('2030-04-12', '2030-04-14')).toBeNull();
+    expect(find('2030-04-12', '2030-04-17')).toBeNull();
+    // A blocked checkout day is still free.
+    expect(find('2030-04-13', '2030-04-16')).not.toBeNull();
+    expect(find('2030-04-13', '2030-04-19')).toBeNull();
+  });
+
+  it('reports the concrete window matched by a flexible-date search', () => {
+    const { ListingsMap } = createEnvironment();
+    const listing = {
+      id: 'villa',
+      searchData: {
+        availability: [{ start: '2030-04-10', end: '2030-04-20' }],
+      },
+    };
+    const matcher = ListingsMap.createSearchDataMatcher({});
+    const exact = { checkIn: '2030-04-08', checkOut: '2030-04-11' };
+    const flexible = { ...exact, flexibleDays: 2 };
+
+    expect(matcher(listing, exact)).toBe(false);
+    expect(matcher(listing, flexible)).toBe(true);
+    expect(matcher.explain(listing, flexible)).toEqual({
+      matched: true,
+      availabilityWindow: {
+        checkIn: '2030-04-10',
+        checkOut: '2030-04-13',
+        nights: 3,
+        offset: 2,
+      },
+      stayPrice: null,
+    });
+    expect(matcher.explain(listing, {})).toEqual({
+      matched: true,
+      availabilityWindow: null,
+      stayPrice: null,
+    });
+  });
+
+  it('prices stays from nightly, weekend, seasonal, fee, and length-of-stay rates', () => {
+    const { ListingsMap } = createEnvironment();
+    const pricing = {
+      nightly: 100,
+      weekend: 150,
+      cleaningFee: 40,
+      seasons: [{ start: '2030-12-20', end: '2030-12-31', nightly: 200 }],
+      discounts: [{ minNights: 7, percent: 10 }],
+    };
+
+    expect(ListingsMap.calculateStayPrice(pricing, '2030-04-01', '2030-04-04')).toMatchObject({
+      nights: 3,
+      subtotal: 300,
+      discount: 0,
+      total: 340,
+    });
+    expect(ListingsMap.calculateStayPrice(pricing, '2030-04-01', '2030-04-08')).toMatchObject({
+      subtotal: 800,
+      discount: 80,
+      total: 760,
+    });
+    expect(ListingsMap.calculateStayPrice(pricing, '2030-12-19', '2030-12-22').total).toBe(540);
+    expect(ListingsMap.calculateStayPrice({ weekend: 150 }, '2030-04-01', '2030-04-04')).toBeNull();
+    expect(ListingsMap.calculateStayPrice(pricing, '2030-04-04', '2030-04-04')).toBeNull();
+
+    const matcher = ListingsMap.createSearchDataMatcher({});
+    const listing = {
+      id: 'villa',
+      searchData: { availability: [{ start: '2030-04-03', end: '2030-04-20' }], pricing },
+    };
+    const result = matcher.explain(listing, {
+      checkIn: '2030-04-01',
+      checkOut: '2030-04-04',
+      flexibleDays: 2,
+    });
+    expect(result.stayPrice).toMatchObject({ checkIn: '2030-04-03', checkOut: '2030-04-06', total: 390 });
+    expect(result.stayPrice.nightlyAverage).toBe(130);
+  });
+
+  it('shows and sorts by stay totals once stay dates are known', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const [villa, cabin, loft] = buildListings();
+    const widget = ListingsMap.init({
+      container,
+      listings: [
+        { ...villa, searchData: { pricing: { nightly: 100 } } },
+        { ...cabin, searchData: { pricing: { nightly: 50, cleaningFee: 200 } } },
+        loft,
+      ],
+      pageSize: 0,
+    });
+    const villaMarker = () => widget.markers.find((marker) => marker._listingId === 'listing-1');
+
+    setSort(widget, window, 'price-asc');
+    expect(getRenderedTitles(container)).toEqual(['Garden Cabin', 'City Loft', 'Ocean Villa']);
+
+    widget.setStayDates({ checkIn: '2030-04-01', checkOut: '2030-04-03' });
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa', 'City Loft', 'Garden Cabin']);
+    expect(container.querySelector('.lm-card-price').textContent).toBe('$200 for 2 nights $100 avg / night');
+    expect(villaMarker().element.textContent).toBe('$200');
+    expect(villaMarker().popupHtml).toContain('for 2 nights');
+
+    widget.setStayDates(null);
+    expect(getRenderedTitles(container)).toEqual(['Garden Cabin', 'City Loft', 'Ocean Villa']);
+    expect(villaMarker().element.textContent).toBe('$320');
+  });
+
+  it('filters by map bounds, radius, and polygon geo constraints', () => {
+    const { ListingsMap } = createEnvironment();
+    const listings = [
+      { id: 'makati', lat: 14.5547, lng: 121.0244 },
+      { id: 'bgc', lat: 14.5509, lng: 121.0503 },
+      { id: 'tagaytay', lat: 14.1153, lng: 120.9621 },
+      { id: 'no-coords', lat: '14.55', lng: '121.02' },
+    ];
+    const ids = (geo) =>
+      ListingsMap.filterListingsBySearchData(listings, { geo }, {}).map((listing) => listing.id);
+
+    expect(ids({ bounds: { north: 14.6, south: 14.5, east: 121.04, west: 121.0 } })).toEqual(['makati']);
+    expect(ids({ center: [14.5547, 121.0244], radiusKm: 5 })).toEqual(['makati', 'bgc']);
+    expect(ids({
+      polygon: [
+        [14.0, 120.9],
+        [14.2, 120.9],
+        [14.2, 121.0],
+        [14.0, 121.0],
+      ],
+    })).toEqual(['tagaytay']);
+    expect(ids({})).toEqual(['makati', 'bgc', 'tagaytay', 'no-coords']);
+    expect(ListingsMap.getDistanceKm([14.5547, 121.0244], { lat: 14.5509, lng: 121.0503 })).toBeCloseTo(2.82, 1);
+  });
+
+  it('scores exact location hits above substring hits with configurable weights', () => {
+    const { ListingsMap } = createEnvironment();
+    const listings = [
+      { id: 'partial', searchData: { location: ['Greater Batangas'], filters: { 'bp-view': 'Ocean' } } },
+      { id: 'substring', searchData: { location: ['Nasugbu-batangas'], filters: { 'bp-view': 'Ocean' } } },
+      { id: 'exact', searchData: { location: ['Batangas'], filters: { 'bp-view': 'Ocean' } } },
+      { id: 'miss', searchData: { location: ['Makati'], filters: { 'bp-view': 'Ocean' } } },
+    ];
+    const config = {
+      filters: [{ key: 'bp-view', type: 'select', weight: 0.5 }],
+      weights: { location: 4 },
+    };
+    const payload = { location: 'batangas', filters: { 'bp-view': 'ocean' } };
+    const matcher = ListingsMap.createSearchDataMatcher(config);
+
+    expect(matcher.score(listings[2], payload)).toEqual({
+      matched: true,
+      score: 4.5,
+      contributions: { location: 4, 'bp-view': 0.5 },
+      availabilityWindow: null,
+      stayPrice: null,
+    });
+    expect(matcher.score(listings[3], payload)).toMatchObject({ matched: false, score: 0 });
+    expect(matcher.score({ ...listings[2], lat: 13.75, lng: 121.05 })).toMatchObject({ matched: true, score: 0 });
+
+    const ranked = ListingsMap.rankListingsBySearchData(listings, payload, config);
+    expect(ranked.map((entry) => entry.listing.id)).toEqual(['exact', 'partial', 'substring']);
+    expect(ranked.map((entry) => entry.score)).toEqual([4.5, 3.5, 2.5]);
+  });
+
+  it('sorts by relevance scores passed with setListings', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const defaults = ListingsMap.init({
+      container: window.document.createElement('div'),
+      listings: buildListings(),
+    });
+    expect(Array.from(defaults.sortSelect.options).map((option) => option.value))
+      .toEqual(['default', 'price-asc', 'price-desc']);
+
+    const widget = ListingsMap.init({
+      container,
+      listings: buildListings(),
+      pageSize: 0,
+      sortOptions: ['default', 'price-asc', 'price-desc', 'relevance'],
+    });
+
+    widget.setListings(buildListings(), {
+      scores: { 'listing-3': 2, 'listing-1': 1.5, 'listing-4': 3 },
+    });
+    setSort(widget, window, 'relevance');
+
+    expect(widget.sortSelect.value).toBe('relevance');
+    expect(getRenderedTitles(container)).toEqual(['Beach House', 'City Loft', 'Ocean Villa', 'Garden Cabin']);
+
+    widget.setListings(buildListings());
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa', 'Garden Cabin', 'City Loft', 'Beach House']);
+  });
+
+  it('builds the sort select from sortOptions with built-in and custom comparators', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const changes = [];
+    const warn = window.console.warn;
+    const warnings = [];
+    window.console.warn = (...args) => warnings.push(args);
+    const listings = buildListings().map((listing, index) => ({
+      ...listing,
+      createdAt: ['2030-01-05', '2030-03-01', undefined, '2030-03-01'][index],
+    }));
+    const widget = ListingsMap.init({
+      container,
+      listings,
+      pageSize: 0,
+      sortOptions: [
+        'default',
+        'rating',
+        'reviews',
+        { value: 'title', label: 'Name' },
+        'newest',
+        { value: 'same', label: 'All equal', compare: () => 0 },
+        'bogus',
+      ],
+      onSortChange: (value) => changes.push(value),
+    });
+    window.console.warn = warn;
+
+    expect(Array.from(widget.sortSelect.options).map((option) => option.textContent)).toEqual([
+      'Sort: Default',
+      'Rating: High to Low',
+      'Most Reviewed',
+      'Name',
+      'Newest',
+      'All equal',
+    ]);
+    expect(warnings).toHaveLength(1);
+
+    widget.setSortOrder('rating');
+    expect(widget.getSortOrder()).toBe('rating');
+    expect(widget.sortSelect.value).toBe('rating');
+    expect(getRenderedTitles(container)).toEqual(['Beach House', 'Ocean Villa', 'Garden Cabin', 'City Loft']);
+
+    widget.setSortOrder('reviews');
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa', 'Garden Cabin', 'Beach House', 'City Loft']);
+    widget.setSortOrder('newest');
+    expect(getRenderedTitles(container)).toEqual(['Garden Cabin', 'Beach House', 'Ocean Villa', 'City Loft']);
+    widget.setSortOrder('same');
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa', 'Garden Cabin', 'City Loft', 'Beach House']);
+    expect(changes).toEqual([]);
+
+    setSort(widget, window, 'title');
+    expect(getRenderedTitles(container)).toEqual(['Beach House', 'City Loft', 'Garden Cabin', 'Ocean Villa']);
+    expect(changes).toEqual(['title']);
+
+    widget.setSortOrder('price-asc');
+    expect(widget.getSortOrder()).toBe('default');
+    expect(widget.sortSelect.value).toBe('default');
+  });
+
+  it('sorts by distance from a fixed, map-center, or runtime reference point', () => {
+    const { ListingsMap, window, mapInstances } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const [villa, cabin, loft, beach] = buildListings();
+    const widget = ListingsMap.init({
+      container,
+      listings: [villa, cabin, { ...loft, lat: undefined, lng: undefined }, beach],
+      pageSize: 0,
+      sortOptions: ['default', 'distance'],
+      referencePoint: [14.58, 121.05],
+    });
+
+    widget.setSortOrder('distance');
+    expect(getRenderedTitles(container)).toEqual(['Beach House', 'Garden Cabin', 'Ocean Villa', 'City Loft']);
+    expect(widget.getListingDistance('listing-2')).toBeCloseTo(3.09, 1);
+    expect(widget.getListingDistance('listing-3')).toBeNull();
+    expect(Array.from(container.querySelectorAll('.lm-card-distance')).map((node) => node.textContent)).toEqual([
+      '0 m away',
+      '3.1 km away',
+      '4.6 km away',
+    ]);
+
+    widget.setReferencePoint('map-center');
+    mapInstances[0].setView({ lat: 14.55, lng: 121.02 }, 15);
+    mapInstances[0].handlers.moveend();
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa', 'Garden Cabin', 'Beach House', 'City Loft']);
+
+    widget.setSortOrder('default');
+    const villaCard = container.querySelector('[data-listing-id="listing-1"]');
+    mapInstances[0].setView({ lat: 14.58, lng: 121.05 }, 15);
+    mapInstances[0].handlers.moveend();
+    expect(container.querySelector('[data-listing-id="listing-1"]')).toBe(villaCard);
+    expect(villaCard.querySelector('.lm-card-distance').textContent).toBe('4.6 km away');
+
+    widget.setReferencePoint(null);
+    expect(container.querySelector('.lm-card-distance')).toBeNull();
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa', 'Garden Cabin', 'City Loft', 'Beach House']);
+  });
+
+  it('derives numeric prices from formatted strings, priceValue, or a parsePrice hook', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const [villa, cabin, loft, beach] = buildListings();
+    const listings = [
+      { ...villa, price: '₱13,689' },
+      { ...cabin, price: '1,250' },
+      { ...loft, price: 'Ask for rates', priceValue: 4000 },
+      { ...beach, price: '₱980' },
+    ];
+    const widget = ListingsMap.init({ container, listings, pageSize: 0, currency: '₱' });
+    const prices = () =>
+      Array.from(container.querySelectorAll('.lm-card-price-value')).map((node) => node.textContent);
+
+    setSort(widget, window, 'price-asc');
+    expect(getRenderedTitles(container)).toEqual(['Beach House', 'Garden Cabin', 'City Loft', 'Ocean Villa']);
+    expect(prices()).toEqual(['₱980', '₱1,250', 'Ask for rates', '₱13,689']);
+    expect(widget.markers.map((marker) => marker.element.textContent)).toEqual([
+      '₱13,689',
+      '₱1,250',
+      '₱4,000',
+      '₱980',
+    ]);
+
+    const config = { filters: [{ key: 'price', type: 'range' }] };
+    const ids = (result) => result.map((listing) => listing.id);
+    expect(ids(ListingsMap.filterListingsBySearchData(listings, { filters: { price: { min: 1000, max: 5000 } } }, config)))
+      .toEqual(['listing-2', 'listing-3']);
+
+    const hooked = ListingsMap.init({
+      container: window.document.createElement('div'),
+      listings: [
+        { ...villa, price: 'USD 12 / night' },
+        { ...cabin, price: 'USD 9 / night' },
+      ],
+      pageSize: 0,
+      parsePrice: (price) => Number(price.split(' ')[1]) * 100,
+    });
+    hooked.setSortOrder('price-asc');
+    expect(hooked.config.listings.map((listing) => listing.id)).toEqual(['listing-2', 'listing-1']);
+    expect(hooked.markers[0].element.textContent).toBe('$1,200');
+
+    expect(ListingsMap.validateListings([{ ...villa, price: 'Ask us' }]).warnings.map((issue) => issue.code))
+      .toEqual(['unparseable-price']);
+  });
+
+  it('parses prefixed and dot-grouped price strings and sorts unknown prices last', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const [villa, cabin, loft, beach] = buildListings();
+    const listings = [
+      { ...villa, price: 'On request' },
+      { ...cabin, price: 'Rs. 1,250' },
+      { ...loft, price: 'S/. 1,250' },
+      { ...beach, price: '€1.250.000' },
+      { ...villa, id: 'listing-5', price: '1.250' },
+      { ...cabin, id: 'listing-6', price: '€ 12,50' },
+    ];
+    const widget = ListingsMap.init({
+      container: window.document.querySelector('#widget'),
+      listings,
+      pageSize: 0,
+      sortOptions: ['default', 'price-asc', 'price-desc'],
+    });
+    const ids = () => widget.config.listings.map((listing) => listing.id);
+
+    expect(widget.markers.map((marker) => marker.element.textContent)).toEqual([
+      'On request',
+      'Rs. 1,250',
+      'S/. 1,250',
+      '€1.250.000',
+      '$1,250',
+      '€ 12,50',
+    ]);
+
+    widget.setSortOrder('price-asc');
+    expect(ids()).toEqual(['listing-6', 'listing-2', 'listing-3', 'listing-5', 'listing-4', 'listing-1']);
+    widget.setSortOrder('price-desc');
+    expect(ids()).toEqual(['listing-4', 'listing-2', 'listing-3', 'listing-5', 'listing-6', 'listing-1']);
+  });
+
+  it('formats prices with locale and currencyCode and compacts marker labels', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const [villa] = buildListings();
+    const listings = [{ ...villa, price: 13689 }];
+    const widget = ListingsMap.init({
+      container: window.document.querySelector('#widget'),
+      listings,
+      locale: 'en-PH',
+      currencyCode: 'PHP',
+      compactMarkerPrices: true,
+    });
+
+    expect(widget.container.querySelector('.lm-card-price-value').textContent).toBe('₱13,689');
+    expect(widget.markers[0].element.textContent).toBe('₱13.7K');
+    expect(widget.markers[0].popupHtml).toContain('<strong>₱13,689</strong>');
+
+    const german = ListingsMap.init({
+      container: window.document.createElement('div'),
+      listings,
+      locale: 'de-DE',
+      currencyCode: 'EUR',
+    });
+    expect(german.container.querySelector('.lm-card-price-value').textContent).toBe('13.689\u00a0€');
+    expect(german.markers[0].element.textContent).toBe('13.689\u00a0€');
+
+    const germanString = ListingsMap.init({
+      container: window.document.createElement('div'),
+      listings: [{ ...villa, price: '1,250' }],
+      locale: 'de-DE',
+      currencyCode: 'EUR',
+    });
+    expect(germanString.container.querySelector('.lm-card-price-value').textContent).toBe('1.250\u00a0€');
+    expect(germanString.markers[0].element.textContent).toBe('1.250\u00a0€');
+
+    const warn = window.console.warn;
+    const warnings = [];
+    window.console.warn = (...args) => warnings.push(args);
+    const fallback = ListingsMap.init({
+      container: window.document.createElement('div'),
+      listings,
+      currencyCode: 'PESO',
+    });
+    window.console.warn = warn;
+    expect(warnings).toHaveLength(1);
+    expect(fallback.markers[0].element.textContent).toBe('$13,689');
+  });
+
+  it('converts native listing currencies for display, markers, and price sorting', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const [villa, cabin, loft, beach] = buildListings();
+    const widget = ListingsMap.init({
+      container,
+      listings: [
+        { ...villa, price: 5600, currencyCode: 'PHP' },
+        { ...cabin, price: 100, currencyCode: 'USD' },
+        { ...loft, price: 90, currencyCode: 'EUR' },
+        { ...beach, price: 150 },
+      ],
+      pageSize: 0,
+      currencyCode: 'USD',
+      currencyRates: { USD: 1, PHP: 56, JPY: 150 },
+      showCurrencySelect: true,
+    });
+    const prices = () =>
+      Array.from(container.querySelectorAll('.lm-card-price-value')).map((node) => node.textContent);
+    const markerLabel = (id) => widget.markers.find((marker) => marker._listingId === id).element.textContent;
+
+    expect(Array.from(widget.currencySelect.options).map((option) => option.value)).toEqual(['USD', 'PHP', 'JPY']);
+    expect(widget.currencySelect.value).toBe('USD');
+
+    setSort(widget, window, 'price-asc');
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa', 'Garden Cabin', 'Beach House', 'City Loft']);
+    expect(prices()).toEqual(['$100', '$100', '$150', '€90']);
+    setSort(widget, window, 'price-desc');
+    expect(getRenderedTitles(container)).toEqual(['Beach House', 'Ocean Villa', 'Garden Cabin', 'City Loft']);
+    setSort(widget, window, 'price-asc');
+
+    widget.currencySelect.value = 'PHP';
+    widget.currencySelect.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(widget.getDisplayCurrency()).toBe('PHP');
+    expect(prices()).toEqual(['₱5,600', '₱5,600', '₱8,400', '€90']);
+    expect(markerLabel('listing-1')).toBe('₱5,600');
+    expect(markerLabel('listing-4')).toBe('₱8,400');
+
+    widget.setDisplayCurrency('JPY');
+    expect(widget.currencySelect.value).toBe('JPY');
+    expect(markerLabel('listing-2')).toBe('¥15,000');
+  });
+
+  it('refuses currency conversion without a base currencyCode', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const [villa] = buildListings();
+    const warnings = [];
+    const warn = window.console.warn;
+    window.console.warn = (...args) => warnings.push(args.join(' '));
+
+    try {
+      const widget = ListingsMap.init({
+        container,
+        listings: [{ ...villa, price: 150 }],
+        currencyRates: { USD: 1, JPY: 150 },
+        showCurrencySelect: true,
+      });
+
+      expect(container.querySelector('.lm-currency-select')).toBeNull();
+      widget.setDisplayCurrency('JPY');
+      expect(widget.getDisplayCurrency()).toBeNull();
+      expect(container.querySelector('.lm-card-price-value').textContent).toBe('$150');
+      expect(warnings).toEqual([
+        'ListingsMap: showCurrencySelect needs a currencyCode option listed in currencyRates',
+        'ListingsMap: setDisplayCurrency needs a currencyCode option to convert from',
+      ]);
+    } finally {
+      window.console.warn = warn;
+    }
+  });
+
+  it('computes facet counts against all other active filters', () => {
+    const { ListingsMap } = createEnvironment();
+    const listings = [
+      { id: 'a', searchData: { location: 'Batangas', filters: { 'bp-view': 'Ocean', 'bp-amenities': ['Pool', 'Spa'], 'bp-bedrooms': 3 } } },
+      { id: 'b', searchData: { location: 'Batangas', filters: { 'bp-view': 'Garden', 'bp-amenities': ['Pool'], 'bp-bedrooms': 1 } } },
+      { id: 'c', searchData: { location: 'Batangas', filters: { 'bp-view': 'Ocean', 'bp-amenities': ['Gym'], 'bp-bedrooms': 2 } } },
+      { id: 'd', searchData: { location: 'Makati', filters: { 'bp-view': 'City', 'bp-amenities': ['Pool'], 'bp-bedrooms': 2 } } },
+    ];
+    const config = {
+      filters: [
+        { key: 'bp-view', type: 'select', options: ['Ocean', 'Garden', 'City'] },
+        { key: 'bp-amenities', type: 'checkbox' },
+        { key: 'bp-bedrooms', type: 'counter', min: 1, max: 3 },
+        { key: 'bp-notes', type: 'text' },
+      ],
+    };
+    const payload = {
+      location: 'batangas',
+      filters: { 'bp-view': 'Ocean', 'bp-amenities': ['Pool'] },
+    };
+
+    const facets = ListingsMap.computeFacets(listings, payload, config);
+
+    expect(Object.keys(facets)).toEqual(['bp-view', 'bp-amenities', 'bp-bedrooms']);
+    expect(facets['bp-view']).toEqual([
+      { value: 'Ocean', label: 'Ocean', count: 1 },
+      { value: 'Garden', label: 'Garden', count: 1 },
+      { value: 'City', label: 'City', count: 0 },
+    ]);
+    expect(facets['bp-amenities'].map((option) => [option.value, option.count])).toEqual([
+      ['Pool', 1],
+      ['Spa', 1],
+      ['Gym', 0],
+    ]);
+    expect(facets['bp-bedrooms'].map((option) => option.count)).toEqual([1, 1, 1]);
+
+    const results = ListingsMap.filterListingsBySearchData(listings, payload, config);
+    expect(facets['bp-view'][0].count).toBe(results.length);
+    const withGym = { ...payload, filters: { ...payload.filters, 'bp-amenities': ['Pool', 'Gym'] } };
+    expect(ListingsMap.filterListingsBySearchData(listings, withGym, config)).toHaveLength(0);
+
+    const anyConfig = { filters: [config.filters[0], { key: 'bp-amenities', type: 'checkbox', mode: 'any' }] };
+    const anyFacets = ListingsMap.computeFacets(listings, payload, anyConfig);
+    expect(anyFacets['bp-amenities'].map((option) => [option.value, option.count])).toEqual([
+      ['Pool', 1],
+      ['Spa', 1],
+      ['Gym', 1],
+    ]);
+    expect(ListingsMap.filterListingsBySearchData(listings, withGym, anyConfig)).toHaveLength(2);
+  });
+
+  it('consults registered and per-config match types before built-in types', () => {
+    const { ListingsMap } = createEnvironment();
+    const listings = [
+      { id: 'a', searchData: { filters: { 'bp-pets': true, 'bp-tags': ['quiet', 'family'], 'bp-view': 'Ocean' } } },
+      { id: 'b', searchData: { filters: { 'bp-pets': false, 'bp-tags': ['party'], 'bp-view': 'Ocean view' } } },
+    ];
+    const received = [];
+
+    ListingsMap.registerMatchType('toggle', (listingValue, submittedValue) =>
+      submittedValue !== true || listingValue === true
+    );
+    ListingsMap.registerMatchType('any-of', (listingValue, submittedValue, descriptor) => {
+      received.push(descriptor);
+      return submittedValue.some((value) => listingValue.includes(value));
+    });
+
+    const config = {
+      filters: [
+        { key: 'bp-pets', type: 'toggle' },
+        { key: 'bp-tags', type: 'any-of', label: 'Tags' },
+        { key: 'bp-view', type: 'select' },
+      ],
+      matchers: {
+        select: (listingValue, submittedValue) => listingValue.startsWith(submittedValue),
+      },
+    };
+    const ids = (filters) =>
+      ListingsMap.filterListingsBySearchData(listings, { filters }, config).map((listing) => listing.id);
+
+    expect(ids({ 'bp-pets': true })).toEqual(['a']);
+    expect(ids({ 'bp-pets': false })).toEqual(['a', 'b']);
+    expect(ids({ 'bp-tags': ['party', 'pool'] })).toEqual(['b']);
+    expect(received[0]).toEqual({ key: 'bp-tags', type: 'any-of', label: 'Tags' });
+    expect(ids({ 'bp-view': 'Ocean' })).toEqual(['a', 'b']);
+
+    ListingsMap.unregisterMatchType('toggle');
+    expect(ids({ 'bp-pets': 'true' })).toEqual(['a']);
+    expect(() => ListingsMap.registerMatchType('broken')).toThrow(/registerMatchType/);
+  });
+
+  it('supports any-of, none-of, and negated checkbox values', () => {
+    const { ListingsMap } = createEnvironment();
+    const listings = [
+      { id: 'villa', searchData: { filters: { type: 'Villa', amenities: ['Pool', 'Wifi'] } } },
+      { id: 'condo', searchData: { filters: { type: 'Condo', amenities: ['Wifi'] } } },
+      { id: 'room', searchData: { filters: { type: 'Shared room', amenities: ['Pool'] } } },
+    ];
+    const config = {
+      filters: [
+        { key: 'type', type: 'checkbox', mode: 'any' },
+        { key: 'exclude', type: 'checkbox', mode: 'none' },
+        { key: 'amenities', type: 'checkbox' },
+      ],
+    };
+    const ids = (filters) =>
+      ListingsMap.filterListingsBySearchData(
+        listings.map((listing) => ({
+          ...listing,
+          searchData: { filters: { ...listing.searchData.filters, exclude: listing.searchData.filters.type } },
+        })),
+        { filters },
+        config
+      ).map((listing) => listing.id);
+
+    expect(ids({ type: ['Villa', 'Condo'] })).toEqual(['villa', 'condo']);
+    expect(ids({ exclude: ['Shared room'] })).toEqual(['villa', 'condo']);
+    expect(ids({ amenities: ['Pool', 'Wifi'] })).toEqual(['villa']);
+    expect(ids({ amenities: ['Wifi', '!Pool'] })).toEqual(['condo']);
+    expect(ids({ amenities: ['!pool'] })).toEqual(['condo']);
+    expect(ids({ type: ['Villa', 'Shared room', '!shared room'] })).toEqual(['villa']);
+  });
+
+  it('filters internally with setSearchPayload while keeping page, markers, and viewport', () => {
+    const { ListingsMap, window, mapInstances } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const results = [];
+    const listings = buildManyListings(12).map((listing, index) => ({
+      ...listing,
+      searchData: { filters: { 'bp-pool': index % 2 === 0 ? 'Yes' : 'No' } },
+    }));
+    const widget = ListingsMap.init({
+      container,
+      listings,
+      pageSize: 2,
+      searchConfig: { filters: [{ key: 'bp-pool', type: 'select' }] },
+      onResultsChange: (summary) => results.push(summary),
+    });
+    const map = mapInstances[0];
+    const fitBoundsBefore = map.fitBoundsCalls.length;
+    const firstMarker = widget.markers[0];
+
+    widget.goToPage(2);
+    widget.setSearchPayload({ filters: { 'bp-pool': 'Yes' } });
+
+    expect(widget._currentPage).toBe(2);
+    expect(getRenderedTitles(container)).toEqual(['Listing 5', 'Listing 7']);
+    expect(widget.markers).toHaveLength(6);
+    expect(widget.markers[0]).toBe(firstMarker);
+    expect(map.removedLayers).toHaveLength(6);
+    expect(map.fitBoundsCalls.length).toBe(fitBoundsBefore);
+    expect(results).toEqual([{ total: 6, payload: { filters: { 'bp-pool': 'Yes' } } }]);
+    expect(widget.getSearchPayload()).toEqual({ filters: { 'bp-pool': 'Yes' } });
+
+    widget.goToPage(3);
+    widget.setSearchPayload({ filters: { 'bp-pool': 'No' }, location: 'nowhere' });
+    expect(widget._currentPage).toBe(1);
+    expect(container.querySelector('.lm-no-results')).not.toBeNull();
+    expect(widget.markers).toHaveLength(0);
+
+    widget.clearSearch();
+    expect(widget.getSearchPayload()).toBeNull();
+    expect(widget.markers).toHaveLength(12);
+    expect(widget.markers[0]).toBe(firstMarker);
+    expect(results[results.length - 1]).toEqual({ total: 12, payload: null });
+  });
+
+  it('applies an initial searchPayload and re-filters new datasets from setListings', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const container = window.document.querySelector('#widget');
+    const tagged = (listing, location) => ({ ...listing, searchData: { location } });
+    const widget = ListingsMap.init({
+      container,
+      listings: [
+        tagged(buildListings()[0], 'Batangas'),
+        tagged(buildListings()[1], 'Tagaytay'),
+      ],
+      pageSize: 0,
+      searchPayload: { location: 'batangas' },
+    });
+
+    expect(getRenderedTitles(container)).toEqual(['Ocean Villa']);
+
+    widget.setListings([
+      tagged(buildListings()[2], 'Makati'),
+      tagged(buildListings()[3], 'Batangas'),
+    ]);
+    expect(getRenderedTitles(container)).toEqual(['Beach House']);
+  });
+
+  it('returns the same results from a prebuilt search index as the one-off helpers', () => {
+    const { ListingsMap } = createEnvironment();
+    const views = ['Ocean', 'Garden', 'City'];
+    const amenities = ['Pool', 'Spa', 'Gym', 'Wifi'];
+    const listings = Array.from({ length: 60 }, (_, index) => ({
+      id: `listing-${index + 1}`,
+      price: 100 + (index * 17) % 400,
+      lat: 14.5 + (index % 10) * 0.01,
+      lng: 121.0 + Math.floor(index / 10) * 0.01,
+      searchData: {
+        location: [index % 3 === 0 ? 'Batangas' : 'Makati', `Zone ${index % 5}`],
+        availability: [{ start: '2030-04-01', end: `2030-04-${String(5 + (index % 20)).padStart(2, '0')}` }],
+        fields: { 'bp-guests': String(2 + (index % 4) * 2) },
+        filters: {
+          'bp-bedrooms': 1 + (index % 5),
+          'bp-view': views[index % 3],
+          'bp-amenities': amenities.filter((_, amenityIndex) => (index + amenityIndex) % 3 !== 0),
+        },
+      },
+    }));
+    const config = {
+      fields: [{ key: 'bp-guests', type: 'select' }],
+      filters: [
+        { key: 'bp-bedrooms', type: 'counter' },
+        { key: 'bp-view', type: 'select' },
+        { key: 'bp-amenities', type: 'checkbox', mode: 'any' },
+        { key: 'price', type: 'range' },
+      ],
+      weights: { location: 2 },
+    };
+    const payloads = [
+      {},
+      { location: 'batangas' },
+      { location: 'zone', checkIn: '2030-04-03', checkOut: '2030-04-12', flexibleDays: 1 },
+      { customFields: { 'bp-guests': '4' }, filters: { 'bp-bedrooms': 3 } },
+      { filters: { 'bp-view': 'ocean', 'bp-amenities': ['Spa', '!Wifi'], price: { min: 150, max: 350 } } },
+      { geo: { center: [14.53, 121.02], radiusKm: 3 }, location: 'makati' },
+    ];
+    const index = ListingsMap.createSearchIndex(listings, config);
+
+    expect(index.size).toBe(60);
+    payloads.forEach((payload) => {
+      expect(index.query(payload)).toEqual(ListingsMap.filterListingsBySearchData(listings, payload, config));
+      expect(index.rank(payload)).toEqual(ListingsMap.rankListingsBySearchData(listings, payload, config));
+    });
+    expect(index.query(payloads[4]).length).toBeGreaterThan(0);
+  });
+
+  it('falls back to synchronous sorted id queries when Worker is unavailable', async () => {
+    const { ListingsMap, window } = createEnvironment();
+    const listings = buildListings().map((listing, index) => ({
+      ...listing,
+      searchData: { location: index % 2 === 0 ? ['Batangas'] : ['Batangas City'] },
+    }));
+
+    expect(window.Worker).toBeUndefined();
+    const search = ListingsMap.createSearchWorker(listings, {});
+
+    expect(search.mode).toBe('sync');
+    await expect(search.query({ location: 'batangas' }, { sort: 'price-asc' })).resolves.toEqual([
+      'listing-2',
+      'listing-3',
+      'listing-1',
+      'listing-4',
+    ]);
+    await expect(search.query({ location: 'batangas' }, { sort: 'relevance' })).resolves.toEqual([
+      'listing-1',
+      'listing-3',
+      'listing-2',
+      'listing-4',
+    ]);
+    await expect(search.query({}, { sort: 'title' })).resolves.toEqual([
+      'listing-4',
+      'listing-3',
+      'listing-2',
+      'listing-1',
+    ]);
+
+    search.setListings(listings.slice(0, 2));
+    await expect(search.query({})).resolves.toEqual(['listing-1', 'listing-2']);
+
+    const [villa, cabin, loft, beach] = buildListings();
+    const converted = ListingsMap.createSearchWorker(
+      [
+        { ...villa, price: 5600, currencyCode: 'PHP' },
+        { ...cabin, price: 120, currencyCode: 'USD' },
+        { ...loft, price: 90, currencyCode: 'EUR' },
+        { ...beach, price: 50 },
+      ],
+      { currencyCode: 'USD', currencyRates: { USD: 1, PHP: 56, JPY: 150 } }
+    );
+    await expect(converted.query({}, { sort: 'price-asc' })).resolves.toEqual([
+      'listing-4',
+      'listing-1',
+      'listing-2',
+      'listing-3',
+    ]);
+    await expect(converted.query({}, { sort: 'price-desc', displayCurrency: 'JPY' })).resolves.toEqual([
+      'listing-2',
+      'listing-1',
+      'listing-4',
+      'listing-3',
+    ]);
+  });
+
+  it('posts listings once, queries the worker, and cancels superseded queries', async () => {
+    const { ListingsMap, window } = createEnvironment();
+    const posted = [];
+
+    class FakeWorker {
+      constructor(url) {
+        this.url = url;
+        this.terminated = false;
+        const scope = {
+          postMessage: (data) => {
+            setTimeout(() => this.onmessage && this.onmessage({ data }), 0);
+          },
+        };
+        this.scope = scope;
+        ListingsMap.handleSearchWorkerMessages(scope);
+      }
+
+      postMessage(data) {
+        posted.push(data.type);
+        const cloned = JSON.parse(JSON.stringify(data));
+        setTimeout(() => this.scope.onmessage({ data: cloned }), 0);
+      }
+
+      terminate() {
+        this.terminated = true;
+      }
+    }
+
+    window.Worker = FakeWorker;
+    const search = ListingsMap.createSearchWorker(buildListings(), {}, { workerUrl: 'search-worker.js' });
+
+    expect(search.mode).toBe('worker');
+
+    const first = search.query({}, { sort: 'price-desc' });
+    const second = search.query({}, { sort: 'price-asc' });
+
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(second).resolves.toEqual(['listing-2', 'listing-3', 'listing-1', 'listing-4']);
+    expect(posted).toEqual(['init', 'query', 'query']);
+
+    search.terminate();
+    expect(search.mode).toBe('sync');
+  });
+
+  it('reports structured validation errors and warnings per listing', () => {
+    const { ListingsMap } = createEnvironment();
+    const report = ListingsMap.validateListings(
+      [
+        { id: 'ok', title: 'Fine', price: 100, lat: 14.5, lng: 121 },
+        { id: 'ok', title: 'Copy', price: 100, lat: '14.55', lng: 121 },
+        {
+          title: 'No id',
+          price: 90,
+          searchData: {
+            availability: [{ start: '2030-4-01', end: '2030-04-10' }, { start: '2030-05-10', end: '2030-05-01' }],
+            filters: { 'bp-bedrooms': '2' },
+          },
+        },
+        'not a listing',
+      ],
+      { filters: [{ key: 'bp-bedrooms', type: 'counter' }] }
+    );
+
+    expect(report.valid).toBe(false);
+    expect(report.errors.map((issue) => [issue.index, issue.path, issue.code])).toEqual([
+      [1, 'id', 'duplicate-id'],
+      [1, 'lat', 'invalid-coordinate'],
+      [2, 'id', 'missing-id'],
+      [2, 'searchData.availability[0].start', 'invalid-date'],
+      [2, 'searchData.availability[1]', 'inverted-availability-range'],
+      [3, '', 'invalid-listing'],
+    ]);
+    expect(report.errors[1]).toMatchObject({ level: 'error', id: 'ok' });
+    expect(report.warnings.map((issue) => [issue.index, issue.code])).toEqual([
+      [2, 'missing-coordinate'],
+      [2, 'missing-coordinate'],
+      [2, 'non-numeric-value'],
+    ]);
+    expect(ListingsMap.validateListings(buildListings()).valid).toBe(true);
+  });
+
+  it('runs opt-in validation on init and setListings through onValidationIssue', () => {
+    const { ListingsMap, window } = createEnvironment();
+    const issues = [];
+    const widget = ListingsMap.init({
+      container: window.document.querySelector('#widget'),
+      listings: [{ ...buildListings()[0], lng: '121.02' }],
+      validate: true,
+      onValidationIssue: (issue) => issues.push(issue),
+    });
+
+    expect(issues.map((issue) => issue.code)).toEqual(['invalid-coordinate']);
+
+    widget.setListings([buildListings()[0], buildListings()[0]]);
+    expect(issues.map((issue) => issue.code)).toEqual(['invalid-coordinate', 'duplicate-id']);
+
+    const quiet = [];
+    ListingsMap.init({
+      container: window.document.querySelector('#widget'),
+      listings: [{ ...buildListings()[0], lng: '121.02' }],
+      onValidationIssue: (issue) => quiet.push(issue),
+    });
+    expect(quiet).toEqual([]);
+  });
+
   it('still works without renderSearchSlot', () => {
     const { ListingsMap, window } = createEnvironment();
     const container = window.document.querySelector('#widget');